@@ -8,16 +8,24 @@
  *   playwright-repl --replay session.pw
  *   playwright-repl --replay session.pw --step
  *   playwright-repl --record my-test.pw
+ *   playwright-repl --replay login.pw --var BASE_URL=http://localhost:3000
+ *   playwright-repl test tests/
  */
 
+import fs from 'node:fs';
+import path from 'node:path';
 import { minimist } from '../src/resolve.mjs';
-import { startRepl } from '../src/repl.mjs';
+import { startRepl, parseTimeout, parseArtifactMode, createDebugger, parseLine } from '../src/repl.mjs';
+import { runTests } from '../src/runner.mjs';
+import { exportFile } from '../src/exporter.mjs';
+import { importSource } from '../src/importer.mjs';
+import { loadEnvFile, parseVarArgs } from '../src/variables.mjs';
+import { parseReporters } from '../src/reporters.mjs';
 
 const args = minimist(process.argv.slice(2), {
-  boolean: ['headed', 'persistent', 'extension', 'help', 'step', 'silent'],
-  string: ['session', 'browser', 'profile', 'config', 'replay', 'record'],
+  boolean: ['headed', 'persistent', 'extension', 'help', 'step', 'silent', 'continue-on-error', 'update-snapshots', 'debug'],
+  string: ['session', 'browser', 'profile', 'config', 'replay', 'record', 'var', 'env-file', 'reporter', 'timeout', 'trace', 'video', 'break-at', 'from', 'to'],
   alias: { s: 'session', h: 'help', b: 'browser', q: 'silent' },
-  default: { session: 'default' },
 });
 
 if (args.help) {
@@ -26,9 +34,12 @@ playwright-repl - Interactive REPL for Playwright browser automation
 
 Usage:
   playwright-repl [options]
+  playwright-repl test <file|dir|glob>... [options]
+  playwright-repl export <session.pw> [out.spec.ts]
+  playwright-repl import <file.spec.ts> [out.pw]
 
 Options:
-  -s, --session <name>   Session name (default: "default")
+  -s, --session <name>   Session name (default: "default", "repl-test" for test)
   -b, --browser <type>   Browser: chrome, firefox, webkit, msedge
   --headed               Run browser in headed mode
   --persistent           Use persistent browser profile
@@ -37,6 +48,18 @@ Options:
   --replay <file>        Replay a .pw session file
   --record <file>        Start REPL with recording to file
   --step                 Pause between commands during replay
+  --from <line>          Start the replay at a line of the file
+  --to <line>            Stop the replay after a line of the file
+  --debug                Debug the replay: stop before the first command (n, c, skip, q)
+  --break-at <line>      Stop the replay at a line (12 or file.pw:12, repeatable)
+  --continue-on-error    Keep replaying after a failed command (still exits 1)
+  --reporter <list>      Write reports, e.g. junit:out.xml,json:out.json
+  --timeout <ms>         How long verify-* commands retry (default: 5000)
+  --update-snapshots     Overwrite verify-screenshot/-snapshot baselines instead of comparing
+  --trace [mode]         Trace each replayed file: on (default), retain-on-failure (saves <name>.trace.zip)
+  --video [mode]         Record each replayed file: on (default), retain-on-failure (saves <name>.webm)
+  --var <KEY=VALUE>      Set a variable for \${KEY} (repeatable)
+  --env-file <file>      Load variables from a .env-style file
   -q, --silent           Suppress banner and status messages
   -h, --help             Show this help
 
@@ -49,31 +72,147 @@ REPL Meta-Commands:
   .save                  Stop recording and save to file
   .pause                 Pause/resume recording
   .discard               Discard current recording
-  .replay <filename>     Replay a recorded session
+  .replay <filename>     Replay a recorded session (--from/--to <line>, --from-failure)
+  .export <file.spec.ts> Export the session as a Playwright Test spec
+  .set timeout <ms>      How long verify-* commands retry
+  .snapdiff              Snapshot, showing only what changed since the last one
   .exit / Ctrl+D         Exit REPL
 
+Variables:
+  set NAME value         Set a variable, use it as \${NAME}
+  \${NAME:-default}       Fall back to a default when NAME is unset
+  <command> -> NAME      Store the command's result in NAME
+  Lookup order: set / --var / --env-file, then environment variables
+
 Examples:
   playwright-repl                        # start REPL
   playwright-repl --headed               # start with visible browser
   playwright-repl --replay login.pw      # replay a session
   playwright-repl --replay login.pw --step  # step through replay
+  playwright-repl --replay login.pw --break-at 12  # stop at line 12 to inspect the page
+  playwright-repl --replay login.pw --from 20 --to 35  # replay only lines 20-35
+  playwright-repl --replay login.pw --var BASE_URL=http://localhost:3000
+  playwright-repl --replay smoke.pw --continue-on-error  # report every failure
+  playwright-repl test tests/            # run every .pw file, fresh browser each
+  playwright-repl test "tests/**/*.pw"   # quote globs so the shell doesn't expand them
+  playwright-repl test tests/ --reporter junit:results.xml
+  playwright-repl test tests/ --timeout 15000  # let assertions wait longer on slow CI
+  playwright-repl test tests/ --trace retain-on-failure  # keep traces of failing files
+  playwright-repl test smoke/ --video on  # a video of every smoke test
+  playwright-repl export login.pw login.spec.ts  # convert to Playwright Test
+  playwright-repl import recorded.spec.ts recorded.pw  # convert codegen output to .pw
   echo "open https://example.com" | playwright-repl  # pipe commands
 `);
   process.exit(0);
 }
 
-startRepl({
-  session: args.session,
-  headed: args.headed,
-  browser: args.browser,
-  persistent: args.persistent,
-  profile: args.profile,
-  config: args.config,
-  replay: args.replay,
-  record: args.record,
-  step: args.step,
-  silent: args.silent,
-}).catch((err) => {
+let vars, reporters, timeout, trace, video, debug, from, to;
+try {
+  vars = { ...loadEnvFile(args['env-file']), ...parseVarArgs(args.var) };
+  reporters = parseReporters(args.reporter);
+  if (args.timeout !== undefined) timeout = parseTimeout(args.timeout);
+  trace = parseArtifactMode('trace', args.trace);
+  video = parseArtifactMode('video', args.video);
+  debug = createDebugger({ debug: args.debug, breakAt: args['break-at'] });
+  from = parseLine('from', args.from);
+  to = parseLine('to', args.to);
+} catch (err) {
   console.error(`Fatal: ${err.message}`);
   process.exit(1);
-});
+}
+
+if (args._[0] === 'export') {
+  const [, source, target] = args._.map(String);
+  if (!source) {
+    console.error('Usage: playwright-repl export <session.pw> [out.spec.ts]');
+    process.exit(1);
+  }
+  try {
+    const spec = exportFile(source);
+    if (target) {
+      fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+      fs.writeFileSync(target, spec, 'utf-8');
+      console.error(`✓ Exported ${source} to ${target}`);
+    } else {
+      process.stdout.write(spec);
+    }
+  } catch (err) {
+    console.error(`Fatal: ${err.message}`);
+    process.exit(1);
+  }
+} else if (args._[0] === 'import') {
+  const [, source, target] = args._.map(String);
+  if (!source) {
+    console.error('Usage: playwright-repl import <file.spec.ts> [out.pw]');
+    process.exit(1);
+  }
+  try {
+    const script = importSource(fs.readFileSync(source, 'utf-8'), { name: path.basename(source) });
+    if (target) {
+      fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+      fs.writeFileSync(target, script, 'utf-8');
+      console.error(`✓ Imported ${source} to ${target}`);
+    } else {
+      process.stdout.write(script);
+    }
+  } catch (err) {
+    console.error(`Fatal: ${err.message}`);
+    process.exit(1);
+  }
+} else if (args._[0] === 'test') {
+  const patterns = args._.slice(1).map(String);
+  if (patterns.length === 0) {
+    console.error('Usage: playwright-repl test <file|dir|glob>...');
+    process.exit(1);
+  }
+  const replayOnly = ['debug', 'break-at', 'from', 'to', 'step'].find(flag => args[flag] !== undefined && args[flag] !== false);
+  if (replayOnly) {
+    console.error(`Fatal: --${replayOnly} only works with --replay, not with test`);
+    process.exit(1);
+  }
+  runTests(patterns, {
+    session: args.session,
+    headed: args.headed,
+    browser: args.browser,
+    config: args.config,
+    silent: args.silent,
+    continueOnError: args['continue-on-error'],
+    timeout,
+    updateSnapshots: args['update-snapshots'],
+    trace,
+    video,
+    reporters,
+    vars,
+  }).then((results) => {
+    process.exit(results.every(r => r.passed) ? 0 : 1);
+  }).catch((err) => {
+    console.error(`Fatal: ${err.message}`);
+    process.exit(1);
+  });
+} else {
+  startRepl({
+    session: args.session,
+    headed: args.headed,
+    browser: args.browser,
+    persistent: args.persistent,
+    profile: args.profile,
+    config: args.config,
+    replay: args.replay,
+    record: args.record,
+    step: args.step,
+    from,
+    to,
+    debug,
+    continueOnError: args['continue-on-error'],
+    timeout,
+    updateSnapshots: args['update-snapshots'],
+    trace,
+    video,
+    reporters,
+    silent: args.silent,
+    vars,
+  }).catch((err) => {
+    console.error(`Fatal: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,543 @@
+/**
+ * Exporter — turn a .pw session into a Playwright Test spec.
+ *
+ *   goto https://example.com     → await page.goto('https://example.com');
+ *   click "Sign in"              → the same locator chain the REPL runs (textToRunCode)
+ *   verify-text Welcome          → await expect(page.getByText('Welcome')...).toBeVisible();
+ *   fill "Email" ${EMAIL}        → `${process.env.EMAIL}` unless set earlier in the file
+ *
+ * Blocks map onto TypeScript (if → passes(), repeat/for → loops), include and
+ * call are inlined. Commands with no Playwright Test equivalent become TODO comments.
+ */
+
+import path from 'node:path';
+import { parseInput, tokenize, ALIASES } from './parser.mjs';
+import { SessionPlayer } from './recorder.mjs';
+import { textToRunCode, locateTarget, LOCATOR_ASSERTIONS, NEGATED_COMMANDS } from './locators.mjs';
+import { textPattern } from './utils.mjs';
+import { COMPARE_OPTIONS } from './screenshots.mjs';
+import { VAR_REF } from './variables.mjs';
+
+const REF = /^e\d+$/;
+
+// Inspection commands that only print in the REPL — nothing to assert on.
+// Tracing and video are set up by Playwright Test itself (use: { trace, video }).
+const SKIPPED = new Set([
+  'snapshot', 'console', 'network', 'tab-list', 'cookie-list', 'localstorage-list',
+  'sessionstorage-list', 'route-list', 'config-print', 'list', 'open',
+  'tracing-start', 'tracing-stop', 'video-start', 'video-stop',
+]);
+
+// ─── String literals ────────────────────────────────────────────────────────
+
+function quote(text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * `${NAME}` → a variable declared earlier in the spec, else process.env.NAME.
+ */
+function refExpression(name, fallback, state) {
+  if (state.declared.has(name)) return name;
+  if (fallback !== undefined) return `process.env.${name} ?? ${quote(fallback)}`;
+  return `process.env.${name}`;
+}
+
+/**
+ * A JS expression for a .pw string: a plain literal, or a template literal
+ * when it references variables.
+ */
+export function stringExpression(text, state = { declared: new Set() }) {
+  const refs = [...text.matchAll(VAR_REF)];
+  // `\${NAME}` is the literal text `${NAME}`, as in the REPL
+  if (refs.every(([match]) => match.startsWith('\\'))) return quote(text.replace(VAR_REF, match => match.slice(1)));
+  const literal = (part) => part.replace(/[\\`]/g, '\\$&').replace(/\$\{/g, '\\${');
+  let body = '';
+  let last = 0;
+  for (const { 0: match, 1: name, 2: fallback, index } of refs) {
+    body += literal(text.slice(last, index));
+    body += match.startsWith('\\') ? literal(match.slice(1)) : `\${${refExpression(name, fallback, state)}}`;
+    last = index + match.length;
+  }
+  return `\`${body}${literal(text.slice(last))}\``;
+}
+
+/**
+ * Rewrite single-quoted literals in generated code that contain `${NAME}`.
+ */
+function templatize(code, state) {
+  return code.replace(/'((?:[^'\\\n]|\\.)*)'/g, (literal, content) => {
+    if (!content.includes('${')) return literal;
+    return stringExpression(content.replace(/\\(['\\])/g, '$1'), state);
+  });
+}
+
+function number(text, state) {
+  return /^-?\d+(\.\d+)?$/.test(text) ? text : `Number(${stringExpression(text, state)})`;
+}
+
+// ─── Commands ───────────────────────────────────────────────────────────────
+
+function locator(target, state) {
+  if (REF.test(target)) {
+    state.refs.add(target);
+    return `page.locator('aria-ref=${target}')`;
+  }
+  return `page.locator(${stringExpression(target, state)})`;
+}
+
+/**
+ * Reuse the REPL's locator chain as a test.step, so the spec resolves
+ * text exactly the way replay does.
+ */
+function textStep(cmdName, text, extra, source, state, options) {
+  for (const arg of [text, ...extra]) if (REF.test(arg)) state.refs.add(arg);
+  const runCode = textToRunCode(cmdName, text, extra, options);
+  const fn = runCode._[1];
+  const body = fn.substring(fn.indexOf('{') + 1, fn.lastIndexOf('}')).trim().split('\n').map(l => l.trim());
+  // Explicit locators (role=, testid=, ...) are a single statement — no step needed
+  if (body.length === 1) return [templatize(body[0], state)];
+  return [
+    `await test.step(${quote(source)}, async () => {`,
+    ...body.map(l => `  ${templatize(l, state)}`),
+    '});',
+  ];
+}
+
+// verify-* locator assertions → [values after the target, expect() line]
+const EXPECTATIONS = {
+  'verify-visible':   [0, (loc) => `await expect(${loc}.filter({ visible: true }).first()).toBeVisible();`],
+  'verify-hidden':    [0, (loc) => `await expect(${loc}.filter({ visible: true })).toHaveCount(0);`],
+  'verify-enabled':   [0, (loc) => `await expect(${loc}).toBeEnabled();`],
+  'verify-disabled':  [0, (loc) => `await expect(${loc}).toBeDisabled();`],
+  'verify-checked':   [0, (loc) => `await expect(${loc}).toBeChecked();`],
+  'verify-count':     [1, (loc, n) => `await expect(${loc.replace(/\.nth\(.*\)$/, '')}).toHaveCount(${n});`],
+  'verify-attribute': [2, (loc, name, value) => `await expect(${loc}).toHaveAttribute(${name}, ${value});`],
+  'verify-css':       [2, (loc, name, value) => `await expect(${loc}).toHaveCSS(${name}, ${value});`],
+};
+
+/**
+ * Apply a verify command's modifiers to an expect() line:
+ * soft → expect.soft(), --not → .not, --timeout → the matcher's timeout.
+ */
+function modifyExpect(line, { soft, not, timeout }) {
+  const match = /^(\s*await expect)(\(.*\))\.(to\w+)\((.*)\);$/.exec(line);
+  if (!match) return line;
+  const [, call, subject, matcher, matcherArgs] = match;
+  const options = timeout === undefined ? matcherArgs
+    : / \}$/.test(matcherArgs) ? matcherArgs.replace(/ \}$/, `, timeout: ${timeout} }`)
+    : `${matcherArgs ? `${matcherArgs}, ` : ''}{ timeout: ${timeout} }`;
+  return `${call}${soft ? '.soft' : ''}${subject}${not ? '.not' : ''}.${matcher}(${options});`;
+}
+
+/**
+ * A locator assertion: the REPL's lookup for the target, then expect().
+ * Refs and explicit locators fold into the expect() itself.
+ */
+function assertionCode(cmdName, pos, source, state) {
+  const [arity, expectation] = EXPECTATIONS[cmdName];
+  const [target, ...rest] = pos;
+  if (target === undefined || rest.length < arity) return null;
+  if (REF.test(target)) state.refs.add(target);
+  const values = rest.slice(0, arity).map(v => cmdName === 'verify-count' ? number(v, state) : stringExpression(v, state));
+  const { lines, loc } = locateTarget(cmdName, target, rest);
+  const single = lines.length === 1 && /^\s*let loc = (.*);$/.exec(lines[0]);
+  if (single) return [templatize(expectation(loc.replace(/^loc/, single[1]), ...values), state)];
+  return [
+    `await test.step(${quote(source)}, async () => {`,
+    ...lines.map(l => `  ${templatize(l.trim(), state)}`),
+    `  ${expectation(loc, ...values)}`,
+    '});',
+  ];
+}
+
+/**
+ * verify-screenshot / verify-snapshot <name> [target] → toHaveScreenshot() /
+ * toMatchAriaSnapshot() on the page or the target (looked up like a locator
+ * assertion). Playwright Test keeps its own baselines, so the first run writes them.
+ */
+function baselineCode(cmdName, pos, args, source, state) {
+  const [name, target, ...rest] = pos;
+  if (name === undefined) return null;
+  let matcher;
+  if (cmdName === 'verify-screenshot') {
+    const options = Object.entries(COMPARE_OPTIONS)
+      .filter(([flag]) => args[flag] !== undefined)
+      .map(([flag, key]) => `${key}: ${number(args[flag], state)}`);
+    if (args.fullPage && target === undefined) options.push('fullPage: true');
+    const file = /\.png$/i.test(name) ? name : `${name}.png`;
+    matcher = `toHaveScreenshot(${stringExpression(file, state)}${options.length ? `, { ${options.join(', ')} }` : ''})`;
+  } else {
+    const file = /\.ya?ml$/i.test(name) ? name : `${name}.aria.yml`;
+    matcher = `toMatchAriaSnapshot({ name: ${stringExpression(file, state)} })`;
+  }
+  if (target === undefined) return [`await expect(${cmdName === 'verify-screenshot' ? 'page' : `page.locator('body')`}).${matcher};`];
+
+  if (REF.test(target)) state.refs.add(target);
+  const { lines, loc } = locateTarget(cmdName, target, rest);
+  const single = lines.length === 1 && /^\s*let loc = (.*);$/.exec(lines[0]);
+  if (single) return [templatize(`await expect(${loc.replace(/^loc/, single[1])}).${matcher};`, state)];
+  return [
+    `await test.step(${quote(source)}, async () => {`,
+    ...lines.map(l => `  ${templatize(l.trim(), state)}`),
+    `  await expect(${loc}).${matcher};`,
+    '});',
+  ];
+}
+
+function storage(area, action, args, state) {
+  const [key, value] = args.map(a => stringExpression(a, state));
+  switch (action) {
+    case 'get':    return `await page.evaluate(key => ${area}.getItem(key), ${key})`;
+    case 'set':    return `await page.evaluate(([key, value]) => ${area}.setItem(key, value), [${key}, ${value}])`;
+    case 'delete': return `await page.evaluate(key => ${area}.removeItem(key), ${key})`;
+    case 'clear':  return `await page.evaluate(() => ${area}.clear())`;
+  }
+}
+
+/**
+ * Translate one command line (with an optional `-> NAME` capture).
+ * Returns code lines, or null when the command has no Playwright Test equivalent.
+ */
+export function commandToCode(line, state = newState()) {
+  let capture = null;
+  const captureMatch = line.match(/\s+->\s*([A-Za-z_][A-Za-z0-9_]*)$/);
+  if (captureMatch) {
+    capture = captureMatch[1];
+    line = line.substring(0, captureMatch.index);
+  }
+
+  const soft = /^soft\s/.test(line);
+  if (soft) line = line.replace(/^soft\s+/, '');
+
+  const [keyword] = line.split(/\s+/, 1);
+  if (keyword === 'set') {
+    const match = line.match(/^set\s+([A-Za-z_][A-Za-z0-9_]*)(?:\s+(.*))?$/);
+    if (!match) return null;
+    const [, name, value = ''] = match;
+    const [unquoted = ''] = tokenize(value);
+    return [assign(name, stringExpression(unquoted, state), state)];
+  }
+
+  const args = parseInput(line);
+  if (!args) return [];
+  let cmdName = ALIASES[args._[0]] || args._[0];
+  let not = !!args.not;
+  if (NEGATED_COMMANDS[cmdName]) {
+    cmdName = NEGATED_COMMANDS[cmdName];
+    not = !not;
+  }
+  const pos = args._.slice(1);
+  const str = (text) => stringExpression(text, state);
+  const [target] = pos;
+  const isText = target !== undefined && !REF.test(target);
+
+  let value = null;       // expression whose result a `-> NAME` capture stores
+  let code;
+  switch (cmdName) {
+    case 'goto':
+    case 'open':
+      if (!target) return SKIPPED.has(cmdName) ? [] : null;
+      code = [`await page.goto(${str(target)});`];
+      break;
+    case 'go-back':    code = ['await page.goBack();']; break;
+    case 'go-forward': code = ['await page.goForward();']; break;
+    case 'reload':     code = ['await page.reload();']; break;
+    case 'press':
+      if (pos.length >= 2) code = textStep(cmdName, target, pos.slice(1), line, state);
+      else code = [`await page.keyboard.press(${str(target)});`];
+      break;
+    case 'type':
+      if (pos.length >= 2) { code = textStep(cmdName, target, pos.slice(1), line, state, { submit: args.submit }); break; }
+      code = [`await page.keyboard.type(${str(target)});`];
+      if (args.submit) code.push(`await page.keyboard.press('Enter');`);
+      break;
+    case 'keydown':
+    case 'keyup':
+      if (!target) return null;
+      code = [`await page.keyboard.${cmdName === 'keydown' ? 'down' : 'up'}(${str(target)});`];
+      break;
+    case 'mousemove':
+      code = [`await page.mouse.move(${number(pos[0], state)}, ${number(pos[1], state)});`];
+      break;
+    case 'mousedown':
+    case 'mouseup':
+      code = [`await page.mouse.${cmdName === 'mousedown' ? 'down' : 'up'}(${target ? `{ button: ${str(target)} }` : ''});`];
+      break;
+    case 'mousewheel':
+      code = [`await page.mouse.wheel(${number(pos[0], state)}, ${number(pos[1], state)});`];
+      break;
+    case 'upload':
+      // A lone file answers the REPL's open file chooser, which a spec doesn't have
+      if (pos.length < 2) return null;
+      code = textStep(cmdName, target, pos.slice(1), line, state);
+      break;
+    case 'click':
+    case 'dblclick':
+    case 'hover':
+    case 'check':
+    case 'uncheck': {
+      if (!target) return null;
+      if (isText) { code = textStep(cmdName, target, pos.slice(1), line, state); break; }
+      const options = args.button ? `{ button: ${quote(args.button)} }` : '';
+      code = [`await ${locator(target, state)}.${cmdName}(${options});`];
+      break;
+    }
+    case 'fill':
+    case 'select': {
+      if (!target) return null;
+      if (isText) code = textStep(cmdName, target, pos.slice(1), line, state);
+      else code = [`await ${locator(target, state)}.${cmdName === 'fill' ? 'fill' : 'selectOption'}(${str(pos[1] ?? '')});`];
+      if (args.submit) code.push(`await page.keyboard.press('Enter');`);
+      break;
+    }
+    case 'drag':
+      if (pos.length < 2) return null;
+      if (REF.test(pos[0]) && REF.test(pos[1])) code = [`await ${locator(pos[0], state)}.dragTo(${locator(pos[1], state)});`];
+      else code = textStep(cmdName, target, pos.slice(1), line, state);
+      break;
+    case 'resize':
+      code = [`await page.setViewportSize({ width: ${number(pos[0], state)}, height: ${number(pos[1], state)} });`];
+      break;
+    case 'screenshot': {
+      const options = [];
+      if (args.filename) options.push(`path: ${str(args.filename)}`);
+      if (args.fullPage) options.push('fullPage: true');
+      const subject = target ? locator(target, state) : 'page';
+      code = [`await ${subject}.screenshot(${options.length ? `{ ${options.join(', ')} }` : ''});`];
+      break;
+    }
+    case 'eval': {
+      if (!target) return null;
+      // Same rule as the daemon: a bare expression is wrapped in a function
+      const fn = target.includes('=>') ? target : `() => (${target})`;
+      value = pos[1] ? `await ${locator(pos[1], state)}.evaluate(${fn})` : `await page.evaluate(${fn})`;
+      break;
+    }
+    case 'run-code':
+      value = `await (${target})(page)`;
+      break;
+    case 'dialog-accept':
+      code = [
+        '// TODO: register before the action that opens the dialog',
+        `page.once('dialog', dialog => dialog.accept(${target ? str(target) : ''}));`,
+      ];
+      break;
+    case 'dialog-dismiss':
+      code = [
+        '// TODO: register before the action that opens the dialog',
+        `page.once('dialog', dialog => dialog.dismiss());`,
+      ];
+      break;
+    case 'cookie-get':
+      value = `(await page.context().cookies()).find(cookie => cookie.name === ${str(target)})?.value`;
+      break;
+    case 'cookie-set':
+      code = [`await page.context().addCookies([{ name: ${str(pos[0])}, value: ${str(pos[1] ?? '')}, url: page.url() }]);`];
+      break;
+    case 'cookie-delete':
+      code = [`await page.context().clearCookies({ name: ${str(target)} });`];
+      break;
+    case 'cookie-clear':
+      code = ['await page.context().clearCookies();'];
+      break;
+    case 'state-save':
+      code = [`await page.context().storageState({ path: ${str(target || args.filename || 'storage-state.json')} });`];
+      break;
+
+    // ── Assertions ──────────────────────────────────────────────
+    case 'verify-text':
+      if (!pos.length) return null;
+      code = [`await expect(page.getByText(${str(pos.join(' '))}).filter({ visible: true }).first()).toBeVisible();`];
+      break;
+    case 'verify-element':
+      if (pos.length < 2) return null;
+      code = [`await expect(page.getByRole(${quote(pos[0])}, { name: ${str(pos.slice(1).join(' '))} }).first()).toBeVisible();`];
+      break;
+    case 'verify-value':
+      if (pos.length < 2) return null;
+      code = [`await expect(${locator(target, state)}).toHaveValue(${str(pos.slice(1).join(' '))});`];
+      if (capture) value = `await ${locator(target, state)}.inputValue()`;
+      break;
+    case 'verify-list':
+      if (pos.length < 2) return null;
+      code = pos.slice(1).map(item => `await expect(${locator(target, state)}.getByText(${str(item)}).first()).toBeVisible();`);
+      break;
+    case 'verify-url':
+    case 'verify-title': {
+      if (!pos.length) return null;
+      const expected = pos.join(' ');
+      const isPattern = /^\/.+\/[a-z]*$/s.test(expected) || (cmdName === 'verify-url' && /[*{]/.test(expected));
+      const matcher = cmdName === 'verify-url' ? 'toHaveURL' : 'toHaveTitle';
+      code = [`await expect(page).${matcher}(${isPattern ? String(textPattern(expected, { glob: cmdName === 'verify-url' })) : str(expected)});`];
+      break;
+    }
+
+    case 'verify-screenshot':
+    case 'verify-snapshot':
+      code = baselineCode(cmdName, pos, args, line, state);
+      if (!code) return null;
+      break;
+
+    default: {
+      if (LOCATOR_ASSERTIONS.includes(cmdName)) {
+        code = assertionCode(cmdName, pos, line, state);
+        if (!code) return null;
+        break;
+      }
+      const storageMatch = cmdName.match(/^(localstorage|sessionstorage)-(get|set|delete|clear)$/);
+      if (storageMatch) {
+        const area = storageMatch[1] === 'localstorage' ? 'localStorage' : 'sessionStorage';
+        const expression = storage(area, storageMatch[2], pos, state);
+        if (storageMatch[2] === 'get') value = expression;
+        else code = [`${expression};`];
+        break;
+      }
+      if (SKIPPED.has(cmdName)) return [];
+      return null;
+    }
+  }
+
+  code ??= [];
+  if (cmdName.startsWith('verify-')) {
+    const timeout = args.timeout !== undefined ? number(args.timeout, state) : state.condition ? '0' : undefined;
+    code = code.map(l => modifyExpect(l, { soft, not, timeout }));
+  }
+  if (value !== null) {
+    if (capture) code.push(assign(capture, value, state));
+    else if (!code.length) code.push(`${value};`);
+  } else if (capture) {
+    code.push(`// TODO: capture ${capture}`);
+  }
+  return code;
+}
+
+function assign(name, expression, state) {
+  if (state.declared.has(name)) return `${name} = ${expression};`;
+  state.declared.add(name);
+  if (!state.nested) return `let ${name} = ${expression};`;
+  // A `let` inside an if/loop/call block would end with it; .pw variables don't
+  state.hoisted.add(name);
+  return `${name} = ${expression};`;
+}
+
+function newState() {
+  return { declared: new Set(), hoisted: new Set(), refs: new Set(), helpers: new Set(), nested: 0 };
+}
+
+// ─── Spec generation ────────────────────────────────────────────────────────
+
+const PASSES_HELPER = [
+  '/** True when the step runs without throwing — mirrors `if` in .pw files. */',
+  'async function passes(step: () => Promise<unknown>) {',
+  '  try { await step(); return true; } catch { return false; }',
+  '}',
+];
+
+/**
+ * Generate a spec from compiled steps (see SessionPlayer.compile).
+ * Plain command lists can be passed as [{ op: 'cmd', text }].
+ */
+export function programToSpec(program, { title = 'recorded session' } = {}) {
+  const state = newState();
+  const scopes = [];
+  const body = [];
+  let depth = 1;
+  const emit = (...lines) => body.push(...lines.map(l => '  '.repeat(depth) + l));
+  const translate = (text) => {
+    const code = commandToCode(text, state);
+    const refs = [...state.refs];
+    state.refs.clear();
+    if (code === null) return [`// TODO: ${text}`];
+    return [
+      ...refs.map(ref => `// TODO: ${ref} is a snapshot ref — replace it with a stable locator`),
+      ...code,
+    ];
+  };
+
+  for (const step of program) {
+    switch (step.op) {
+      case 'cmd':
+        emit(...translate(step.text));
+        break;
+      case 'if': {
+        state.helpers.add('passes');
+        state.nested++;
+        // Like `if` in the REPL, the condition is checked once, without waiting
+        state.condition = true;
+        const code = translate(step.text);
+        state.condition = false;
+        if (code.length === 1) emit(`if (await passes(async () => { ${code[0]} })) {`);
+        else emit('if (await passes(async () => {', ...code.map(l => `  ${l}`), '})) {');
+        scopes.push([]);
+        depth++;
+        break;
+      }
+      case 'else':
+        depth--;
+        emit('} else {');
+        depth++;
+        break;
+      case 'repeat':
+        emit(`for (let i = 0; i < ${number(step.count, state)}; i++) {`);
+        scopes.push([]);
+        state.nested++;
+        depth++;
+        break;
+      case 'for': {
+        const items = tokenize(step.items).map(item => stringExpression(item, state));
+        scopes.push(state.declared.has(step.name) ? [] : [step.name]);
+        state.declared.add(step.name);
+        state.nested++;
+        emit(`for (let ${step.name} of [${items.join(', ')}]) {`);
+        depth++;
+        break;
+      }
+      case 'scope': {
+        emit(`// ${step.text}`, '{');
+        depth++;
+        const added = Object.keys(step.params).filter(name => !state.declared.has(name));
+        scopes.push(added);
+        state.nested++;
+        for (const [name, value] of Object.entries(step.params)) {
+          // `user=${user}` passes the outer variable through; redeclaring it
+          // would read the new const before it's initialized
+          if (value === `\${${name}}` && state.declared.has(name)) continue;
+          emit(`const ${name} = ${stringExpression(value, state)};`);
+          state.declared.add(name);
+        }
+        break;
+      }
+      case 'breakpoint':
+        emit('await page.pause();');
+        break;
+      case 'end':
+      case 'unscope':
+        // Loop variables and call parameters only exist inside the block
+        for (const name of scopes.pop()) state.declared.delete(name);
+        state.nested--;
+        depth--;
+        emit('}');
+        break;
+    }
+  }
+
+  return [
+    `import { test, expect } from '@playwright/test';`,
+    '',
+    ...(state.helpers.has('passes') ? [...PASSES_HELPER, ''] : []),
+    `test(${quote(title)}, async ({ page }) => {`,
+    ...(state.hoisted.size ? [`  let ${[...state.hoisted].join(', ')};`] : []),
+    ...body,
+    '});',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Export a .pw file (includes inlined) as a Playwright Test spec.
+ */
+export function exportFile(filename, options = {}) {
+  const title = options.title ?? path.basename(filename).replace(/\.pw$/, '');
+  return programToSpec(SessionPlayer.compile(filename), { title });
+}
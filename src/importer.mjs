@@ -0,0 +1,444 @@
+/**
+ * Importer — the reverse of the exporter: Playwright code → .pw script.
+ *
+ * Reads a Playwright Test spec or codegen output and maps what it can onto
+ * the REPL vocabulary:
+ *
+ *   await page.goto('https://example.com');                   → goto https://example.com
+ *   await page.getByRole('button', { name: 'Save' }).click(); → click "Save"
+ *   await page.getByLabel('Email').fill('a@b.com');           → fill "Email" a@b.com
+ *   await page.getByTestId('submit').click();                 → click testid=submit
+ *   await expect(page.getByText('Saved')).toBeVisible();      → verify-text Saved
+ *
+ * Everything else becomes a run-code line, so the script still runs.
+ */
+
+// ─── Statement splitting ────────────────────────────────────────────────────
+
+// Lines that only open or close the test / codegen wrapper
+const WRAPPER_OPEN = /^(?:test(?:\.(?:describe|beforeEach|afterEach|beforeAll|afterAll|only|skip|fixme))*\s*\(|\(async\s*\(\)\s*=>)/;
+const WRAPPER_CLOSE = /^[}\])(\s;]*$/;
+// Browser / context setup that the REPL daemon already does for us
+const SETUP = /^(?:import\s|const\s*\{[^}]*\}\s*=\s*require\(|(?:const|let)\s+(?:browser|context|page)\s*=|await\s+(?:context|browser)\.close\(\)|test\.use\()/;
+
+/**
+ * Net bracket depth of a chunk of code, ignoring strings and comments.
+ */
+function bracketBalance(code) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < code.length; i++) {
+    const ch = code[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      quote = ch;
+    } else if (ch === '/' && code[i + 1] === '/') {
+      break;
+    } else if ('([{'.includes(ch)) {
+      depth++;
+    } else if (')]}'.includes(ch)) {
+      depth--;
+    }
+  }
+  return depth;
+}
+
+/**
+ * Split source into statements and comments, dropping the test wrapper.
+ * Returns [{ type: 'statement' | 'comment' | 'test', text }]
+ */
+export function splitStatements(source) {
+  const items = [];
+  let pending = '';
+  for (const raw of source.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!pending) {
+      if (!line) continue;
+      if (line.startsWith('//')) {
+        // Codegen separates its sections with "// -----"
+        if (!/^\/\/\s*-*\s*$/.test(line)) items.push({ type: 'comment', text: line.replace(/^\/\/\s?/, '') });
+        continue;
+      }
+      if (WRAPPER_OPEN.test(line)) {
+        const title = line.match(/^test(?:\.\w+)*\s*\(\s*(['"`])((?:\\.|(?!\1).)*)\1/);
+        if (title) items.push({ type: 'test', text: title[2] });
+        continue;
+      }
+      if (WRAPPER_CLOSE.test(line)) continue;
+    }
+    pending = pending ? `${pending}\n${line}` : line;
+    if (bracketBalance(pending) <= 0) {
+      items.push({ type: 'statement', text: pending.replace(/;\s*$/, '') });
+      pending = '';
+    }
+  }
+  if (pending) items.push({ type: 'statement', text: pending.replace(/;\s*$/, '') });
+  return items;
+}
+
+// ─── Call-chain parsing ─────────────────────────────────────────────────────
+
+/**
+ * Minimal parser for `root.call(args).call(args)` chains whose arguments
+ * are literals (strings, numbers, booleans, arrays, plain objects, regexes).
+ */
+class ChainParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  fail() {
+    throw new Error(`Cannot parse: ${this.text}`);
+  }
+
+  skipSpace() {
+    while (/\s/.test(this.text[this.pos] ?? '')) this.pos++;
+  }
+
+  peek(token) {
+    this.skipSpace();
+    return this.text.startsWith(token, this.pos);
+  }
+
+  expect(token) {
+    if (!this.peek(token)) this.fail();
+    this.pos += token.length;
+  }
+
+  identifier() {
+    this.skipSpace();
+    const match = this.text.slice(this.pos).match(/^[A-Za-z_$][\w$]*/);
+    if (!match) this.fail();
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  string() {
+    const quote = this.text[this.pos];
+    let value = '';
+    for (this.pos++; this.pos < this.text.length; this.pos++) {
+      const ch = this.text[this.pos];
+      if (ch === quote) { this.pos++; return value; }
+      if (quote === '`' && ch === '$' && this.text[this.pos + 1] === '{') this.fail();
+      if (ch === '\\') {
+        const next = this.text[++this.pos];
+        value += { n: '\n', t: '\t', r: '\r' }[next] ?? next;
+      } else {
+        value += ch;
+      }
+    }
+    this.fail();
+  }
+
+  value() {
+    this.skipSpace();
+    const ch = this.text[this.pos];
+    if (ch === "'" || ch === '"' || ch === '`') return this.string();
+    if (ch === '{') {
+      const object = {};
+      this.pos++;
+      while (!this.peek('}')) {
+        this.skipSpace();
+        const key = /['"]/.test(this.text[this.pos]) ? this.string() : this.identifier();
+        this.expect(':');
+        object[key] = this.value();
+        if (!this.peek('}')) this.expect(',');
+      }
+      this.expect('}');
+      return object;
+    }
+    if (ch === '[') {
+      const array = [];
+      this.pos++;
+      while (!this.peek(']')) {
+        array.push(this.value());
+        if (!this.peek(']')) this.expect(',');
+      }
+      this.expect(']');
+      return array;
+    }
+    if (ch === '/') {
+      const match = this.text.slice(this.pos).match(/^\/((?:\\.|[^/\\\n])+)\/([a-z]*)/);
+      if (!match) this.fail();
+      this.pos += match[0].length;
+      return new RegExp(match[1], match[2]);
+    }
+    const match = this.text.slice(this.pos).match(/^(?:-?\d+(?:\.\d+)?|true|false|null|undefined)/);
+    if (!match) this.fail();
+    this.pos += match[0].length;
+    return JSON.parse(match[0] === 'undefined' ? 'null' : match[0]);
+  }
+
+  args() {
+    const args = [];
+    this.expect('(');
+    while (!this.peek(')')) {
+      args.push(this.value());
+      if (!this.peek(')')) this.expect(',');
+    }
+    this.expect(')');
+    return args;
+  }
+
+  /** root(.name(args))* — `expect(<chain>)` is parsed as a nested chain. */
+  chain() {
+    const root = this.identifier();
+    const calls = [];
+    let subject = null;
+    if (root === 'expect') {
+      this.expect('(');
+      subject = this.chain();
+      this.expect(')');
+    }
+    while (this.peek('.')) {
+      this.pos++;
+      const name = this.identifier();
+      calls.push({ name, args: this.peek('(') ? this.args() : null });
+    }
+    return { root, subject, calls };
+  }
+}
+
+/**
+ * Parse `[await] chain` into { root, subject, calls }, or null.
+ */
+export function parseChain(statement) {
+  const parser = new ChainParser(statement.replace(/^await\s+/, ''));
+  try {
+    const chain = parser.chain();
+    parser.skipSpace();
+    return parser.pos === parser.text.length ? chain : null;
+  } catch {
+    return null;
+  }
+}
+
+// ─── Mapping onto .pw commands ──────────────────────────────────────────────
+
+/**
+ * Quote a .pw argument. Returns null when it can't be expressed
+ * (the tokenizer has no escapes, so a value can't hold both quote kinds).
+ */
+export function pwArg(text) {
+  text = String(text).replace(/\$\{/g, '\\${');
+  if (text && !/[\s"']/.test(text)) return text;
+  if (!text.includes('"')) return `"${text}"`;
+  if (!text.includes("'")) return `'${text}'`;
+  return null;
+}
+
+const LOCATOR_METHODS = ['getByRole', 'getByText', 'getByLabel', 'getByPlaceholder'];
+
+// The locator each REPL text command tries first (see textToRunCode): only that
+// one is sure to find the same element, later fallbacks can be shadowed by it
+const RESOLVES = {
+  click:   ['getByText'],
+  fill:    ['getByLabel'],
+  select:  ['getByLabel'],
+  check:   [],
+};
+RESOLVES.dblclick = RESOLVES.hover = RESOLVES.drag = RESOLVES.click;
+RESOLVES.press = RESOLVES.type = RESOLVES.fill;
+RESOLVES.uncheck = RESOLVES.check;
+RESOLVES.upload = ['getByLabel'];
+
+function resolvable(cmdName, locator) {
+  return RESOLVES[cmdName].includes(locator.method === 'getByRole' ? locator.role : locator.method);
+}
+
+/**
+ * A page locator the REPL can address by text: { method, role, name }.
+ */
+function textLocator(chain) {
+  if (chain.root !== 'page' || chain.calls.length < 1) return null;
+  const [call] = chain.calls;
+  if (!LOCATOR_METHODS.includes(call.name) || !call.args) return null;
+  const [first, options = {}] = call.args;
+  if (call.name === 'getByRole') {
+    if (typeof options.name !== 'string') return null;
+    return { method: call.name, role: first, name: options.name };
+  }
+  if (typeof first !== 'string') return null;
+  return { method: call.name, name: first };
+}
+
+/**
+ * The same locator as an explicit .pw argument (role=, label=, testid=, css=, ...), or null.
+ */
+function explicitArg(call) {
+  const [first, options] = call.args || [];
+  if (typeof first !== 'string') return null;
+  switch (call.name) {
+    case 'getByRole': {
+      if (options === undefined) return `role=${first}`;
+      if (Object.keys(options).length !== 1 || typeof options.name !== 'string') return null;
+      // Quotes inside a token group its words, so role=button[name="Sign in"] needs no outer quotes
+      const name = pwArg(options.name);
+      return name && !name.includes(']') ? `role=${first}[name=${/^["']/.test(name) ? name : `"${name}"`}]` : null;
+    }
+    case 'getByLabel':       return options ? null : pwArg(`label=${first}`);
+    case 'getByPlaceholder': return options ? null : pwArg(`placeholder=${first}`);
+    case 'getByTestId':      return pwArg(`testid=${first}`);
+    case 'locator':
+      if (options) return null;
+      if (/^(css|xpath)=/.test(first)) return pwArg(first);
+      if (/^\.{0,2}\//.test(first)) return pwArg(`xpath=${first}`);
+      return /^[\w:-]+=/.test(first) ? null : pwArg(`css=${first}`);
+    default:
+      return null;
+  }
+}
+
+/**
+ * The argument that makes `cmdName` find the same element as the locator in
+ * `page.getByX(...).action(...)`: its text when the REPL's fallback chain
+ * resolves it, else an explicit locator. Null when neither fits.
+ */
+export function locatorArg(cmdName, chain) {
+  if (!RESOLVES[cmdName] || chain?.root !== 'page' || chain.calls.length !== 2) return null;
+  const locator = textLocator(chain);
+  if (locator && resolvable(cmdName, locator)) return pwArg(locator.name);
+  return explicitArg(chain.calls[0]);
+}
+
+function command(...parts) {
+  const args = parts.slice(1).map(pwArg);
+  if (args.includes(null)) return null;
+  return [parts[0], ...args].join(' ');
+}
+
+/**
+ * `cmdName <target> ...values` for page.getByX(...).action(...), or null.
+ */
+function targetCommand(cmdName, chain, ...values) {
+  const target = locatorArg(cmdName, chain);
+  const args = values.map(pwArg);
+  if (!target || args.includes(null)) return null;
+  return [cmdName, target, ...args].join(' ');
+}
+
+/**
+ * Map one parsed chain onto a .pw command, or null.
+ */
+export function chainToCommand(chain) {
+  if (!chain) return null;
+  const last = chain.calls.at(-1);
+  if (!last?.args) return null;
+
+  // expect(...).toBeVisible() / toHaveText() / toContainText()
+  if (chain.root === 'expect') {
+    const subject = chain.subject;
+    if (chain.calls.length !== 1 || subject?.root !== 'page' || subject.calls.length === 0) return null;
+    // verify-text looks for the text anywhere on the page, whatever the locator
+    if ((last.name === 'toHaveText' || last.name === 'toContainText') && typeof last.args[0] === 'string')
+      return command('verify-text', last.args[0]);
+    const locator = textLocator(subject);
+    if (last.name !== 'toBeVisible' || !locator || subject.calls.length !== 1) return null;
+    if (locator.method === 'getByRole') return command('verify-element', locator.role, locator.name);
+    if (locator.method === 'getByText') return command('verify-text', locator.name);
+    return null;
+  }
+
+  if (chain.root !== 'page') return null;
+
+  // page.goto / keyboard / mouse / history
+  if (chain.calls.length === 1) {
+    const [url] = last.args;
+    switch (last.name) {
+      case 'goto': return typeof url === 'string' ? command('goto', url) : null;
+      case 'goBack': return 'go-back';
+      case 'goForward': return 'go-forward';
+      case 'reload': return 'reload';
+      case 'pause': return 'breakpoint';
+      case 'setViewportSize': return url?.width ? command('resize', String(url.width), String(url.height)) : null;
+      default: return null;
+    }
+  }
+  if (chain.calls.length === 2 && chain.calls[0].name === 'keyboard') {
+    const [text] = last.args;
+    if (typeof text !== 'string') return null;
+    if (last.name === 'press') return command('press', text);
+    if (last.name === 'type' || last.name === 'insertText') return command('type', text);
+    if (last.name === 'down') return command('keydown', text);
+    if (last.name === 'up') return command('keyup', text);
+    return null;
+  }
+  if (chain.calls.length === 2 && chain.calls[0].name === 'mouse') {
+    const numbers = last.args.every(arg => typeof arg === 'number');
+    switch (last.name) {
+      case 'move': return numbers && last.args.length === 2 ? command('mousemove', ...last.args.map(String)) : null;
+      case 'wheel': return numbers && last.args.length === 2 ? command('mousewheel', ...last.args.map(String)) : null;
+      case 'down':
+      case 'up': {
+        const [options] = last.args;
+        const cmdName = `mouse${last.name}`;
+        if (!options) return cmdName;
+        const keys = Object.keys(options);
+        return keys.length === 1 && keys[0] === 'button' && typeof options.button === 'string' ? command(cmdName, options.button) : null;
+      }
+      default: return null;
+    }
+  }
+
+  // page.getByX(...).action(...) — by text when the REPL resolves it the same way, else role=, testid=, css=, ...
+  if (chain.calls.length !== 2) return null;
+  const [value] = last.args;
+  switch (last.name) {
+    case 'click':
+    case 'dblclick':
+    case 'hover':
+    case 'check':
+    case 'uncheck':
+      return last.args.length === 0 ? targetCommand(last.name, chain) : null;
+    case 'fill':
+      return typeof value === 'string' ? targetCommand('fill', chain, value) : null;
+    case 'selectOption':
+      return typeof value === 'string' ? targetCommand('select', chain, value) : null;
+    case 'press':
+      return typeof value === 'string' ? targetCommand('press', chain, value) : null;
+    case 'pressSequentially':
+    case 'type':
+      return typeof value === 'string' ? targetCommand('type', chain, value) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fallback: run the original statement through run-code.
+ */
+function runCodeLines(statement) {
+  const code = statement.replace(/\s*\n\s*/g, ' ');
+  const arg = pwArg(`async (page) => { ${code}; }`);
+  if (!arg) return [`# TODO: could not convert: ${code}`];
+  // run-code only gets `page`, so unmapped assertions need a rewrite
+  const note = /\bexpect\s*\(/.test(code) ? ['# TODO: expect() is not available in run-code — rewrite as a verify-* command'] : [];
+  return [...note, `run-code ${arg}`];
+}
+
+// ─── Entry point ────────────────────────────────────────────────────────────
+
+/**
+ * Convert Playwright source (spec or codegen) into .pw text.
+ */
+export function importSource(source, { name } = {}) {
+  const lines = ['# Playwright REPL session'];
+  if (name) lines.push(`# imported from ${name}`);
+  lines.push('');
+  let tests = 0;
+  for (const item of splitStatements(source)) {
+    if (item.type === 'test') {
+      if (tests++ > 0) lines.push('');
+      lines.push(`# ${item.text}`);
+    } else if (item.type === 'comment') {
+      lines.push(`# ${item.text}`);
+    } else if (!SETUP.test(item.text)) {
+      const mapped = chainToCommand(parseChain(item.text));
+      lines.push(...(mapped ? [mapped] : runCodeLines(item.text)));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
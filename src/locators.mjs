@@ -0,0 +1,365 @@
+/**
+ * Locators — how REPL commands find their target element.
+ *
+ *   click "Sign in"                 → text fallback chain (exact text → button → link → substring)
+ *   click role=button[name="Save"]  → an explicit locator
+ *   click "Edit" in row "Alice"     → scoped to a container
+ *
+ * Shared by the REPL, which runs the generated code through run-code, and the
+ * exporter, which writes the same lookups into specs.
+ */
+
+import path from 'node:path';
+import { c } from './colors.mjs';
+
+// ─── Assertion commands ─────────────────────────────────────────────────────
+
+// verify-no-* → the assertion they negate
+export const NEGATED_COMMANDS = {
+  'verify-no-text': 'verify-text',
+  'verify-no-element': 'verify-element',
+};
+
+// Assertions on a target element (verify-visible, verify-count, ...)
+export const LOCATOR_ASSERTIONS = [
+  'verify-visible', 'verify-hidden', 'verify-enabled', 'verify-disabled', 'verify-checked',
+  'verify-count', 'verify-attribute', 'verify-css',
+];
+
+/**
+ * Lines that declare `loc` for a command's target — a ref, an explicit
+ * locator or a text fallback chain — inside the scope that follows its values.
+ * Returns { lines, loc } where loc carries any nth=.
+ */
+export function locateTarget(cmdName, target, extraArgs) {
+  const scope = parseScope(extraArgs.slice(VALUE_ARGS[cmdName] ?? 0));
+  const root = scope.root === 'page' ? 'page' : 'scope';
+  const lines = scope.root === 'page' ? [] : [`  const scope = ${scope.root};`];
+  lines.push(...findTarget(cmdName, String(target), root).split('\n'));
+  return { lines, loc: `loc${scope.nth}` };
+}
+
+// ─── Explicit locators (role=, label=, testid=, css=, ...) ──────────────────
+
+// role=checkbox[checked=false] — attributes that take a boolean or a number
+const ROLE_NUMBER_OPTIONS = ['level'];
+
+/**
+ * Translate an explicit locator argument into a Playwright locator expression.
+ *   role=button[name="Save"] → page.getByRole('button', { name: 'Save' })
+ *   label=Email              → page.getByLabel('Email')
+ *   placeholder=Search       → page.getByPlaceholder('Search')
+ *   testid=submit            → page.getByTestId('submit')
+ *   css=.btn-primary         → page.locator('css=.btn-primary')
+ *   xpath=//nav/a[2]         → page.locator('xpath=//nav/a[2]')
+ * `root` is the locator to search in (a scope, see parseScope).
+ * Returns null for anything else (plain text, refs), and throws on a malformed role=.
+ */
+export function explicitLocator(target, root = 'page') {
+  const esc = (s) => s.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  const match = /^(role|label|placeholder|testid|css|xpath)=(.+)$/s.exec(target);
+  if (!match) return null;
+  const [, kind, value] = match;
+
+  switch (kind) {
+    case 'role': {
+      const role = /^([a-z]+)((?:\[[^\]]*\])*)$/.exec(value);
+      if (!role) throw new Error(`Invalid role locator: ${target} (expected role=button[name="Save"])`);
+      const options = [];
+      for (const [, key, raw] of role[2].matchAll(/\[\s*([a-z-]+)\s*(?:=\s*(.*?)\s*)?\]/g)) {
+        const attr = key.replace(/-(\w)/g, (_, ch) => ch.toUpperCase());
+        const text = raw === undefined ? 'true' : raw.replace(/^(["'])(.*)\1$/s, '$2');
+        if (attr === 'name') options.push(`name: '${esc(text)}'`);
+        else if (ROLE_NUMBER_OPTIONS.includes(attr) && /^\d+$/.test(text)) options.push(`${attr}: ${text}`);
+        else if (text === 'true' || text === 'false') options.push(`${attr}: ${text}`);
+        else throw new Error(`Invalid role locator: ${target} (${key} must be true or false)`);
+      }
+      return options.length > 0
+        ? `${root}.getByRole('${role[1]}', { ${options.join(', ')} })`
+        : `${root}.getByRole('${role[1]}')`;
+    }
+    case 'label':       return `${root}.getByLabel('${esc(value)}')`;
+    case 'placeholder': return `${root}.getByPlaceholder('${esc(value)}')`;
+    case 'testid':      return `${root}.getByTestId('${esc(value)}')`;
+    default:            return `${root}.locator('${esc(target)}')`;
+  }
+}
+
+// ─── Scoping (in / within / nth=) ───────────────────────────────────────────
+
+const SCOPE_KEYWORDS = ['in', 'within'];
+
+/**
+ * Split the arguments after a target into the command's own arguments and
+ * its scope, then build the locator everything is looked up in.
+ *   in listitem "Buy groceries"  → page.getByRole('listitem').filter({ hasText: 'Buy groceries' })
+ *   within dialog "New user"     → page.getByRole('dialog').filter({ hasText: 'New user' })
+ *   in testid=user-row           → page.getByTestId('user-row')
+ *   nth=2                        → .nth(2) on the final match (0-based, -1 for the last)
+ * Scopes read inside-out, so `in row "Alice" within dialog "Users"` looks for
+ * the row inside the dialog. Returns { args, root, nth }, where root is 'page'
+ * when unscoped; throws on a scope keyword without a container.
+ */
+export function parseScope(extraArgs) {
+  const esc = (s) => s.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  const args = [];
+  const containers = [];
+  let nth = '';
+  for (let i = 0; i < extraArgs.length; i++) {
+    const arg = String(extraArgs[i]);
+    const nthMatch = /^nth=(-?\d+)$/.exec(arg);
+    if (nthMatch) {
+      nth = `.nth(${nthMatch[1]})`;
+    } else if (SCOPE_KEYWORDS.includes(arg)) {
+      const container = extraArgs[++i] === undefined ? undefined : String(extraArgs[i]);
+      if (!container || SCOPE_KEYWORDS.includes(container))
+        throw new Error(`Expected a role or locator after "${arg}" (e.g. ${arg} listitem "Buy groceries")`);
+      const next = extraArgs[i + 1] === undefined ? undefined : String(extraArgs[i + 1]);
+      const hasName = next !== undefined && !SCOPE_KEYWORDS.includes(next) && !/^nth=/.test(next);
+      containers.unshift({ container, name: hasName && !explicitLocator(container) ? next : undefined });
+      if (containers[0].name !== undefined) i++;
+    } else {
+      args.push(extraArgs[i]);
+    }
+  }
+  let root = 'page';
+  for (const { container, name } of containers) {
+    root = explicitLocator(container, root) ?? `${root}.getByRole('${esc(container)}')`;
+    if (name !== undefined) root += `.filter({ hasText: '${esc(name)}' })`;
+  }
+  return { args, root, nth };
+}
+
+// ─── Text-to-action via Playwright native locators ──────────────────────────
+
+/**
+ * The locators each text command tries, in order: [label, (root, text) → locator].
+ * textToRunCode uses the first that matches; diagnoseToRunCode reports them all.
+ */
+const TEXT_STRATEGIES = {
+  click: [
+    ['exact text', (root, text) => `${root}.getByText('${text}', { exact: true })`],
+    ['button',     (root, text) => `${root}.getByRole('button', { name: '${text}' })`],
+    ['link',       (root, text) => `${root}.getByRole('link', { name: '${text}' })`],
+    ['substring',  (root, text) => `${root}.getByText('${text}')`],
+  ],
+  fill: [
+    ['label',       (root, text) => `${root}.getByLabel('${text}')`],
+    ['placeholder', (root, text) => `${root}.getByPlaceholder('${text}')`],
+    ['textbox',     (root, text) => `${root}.getByRole('textbox', { name: '${text}' })`],
+  ],
+  select: [
+    ['label',    (root, text) => `${root}.getByLabel('${text}')`],
+    ['combobox', (root, text) => `${root}.getByRole('combobox', { name: '${text}' })`],
+  ],
+  check: [
+    ['listitem', (root, text) => `${root}.getByRole('listitem').filter({ hasText: '${text}' }).getByRole('checkbox')`],
+    ['label',    (root, text) => `${root}.getByLabel('${text}')`],
+    ['checkbox', (root, text) => `${root}.getByRole('checkbox', { name: '${text}' })`],
+  ],
+};
+TEXT_STRATEGIES.upload = [
+  ['label',      (root, text) => `${root}.getByLabel('${text}')`],
+  ['button',     (root, text) => `${root}.getByRole('button', { name: '${text}' })`],
+  ['exact text', (root, text) => `${root}.getByText('${text}', { exact: true })`],
+];
+TEXT_STRATEGIES.dblclick = TEXT_STRATEGIES.hover = TEXT_STRATEGIES.drag = TEXT_STRATEGIES.click;
+TEXT_STRATEGIES.press = TEXT_STRATEGIES.type = TEXT_STRATEGIES.fill;
+TEXT_STRATEGIES.uncheck = TEXT_STRATEGIES.check;
+TEXT_STRATEGIES['verify-screenshot'] = TEXT_STRATEGIES['verify-snapshot'] = TEXT_STRATEGIES.click;
+
+for (const name of LOCATOR_ASSERTIONS)
+  TEXT_STRATEGIES[name] = name === 'verify-checked' ? TEXT_STRATEGIES.check : TEXT_STRATEGIES.click;
+
+// Arguments between the target and its scope: the value, key, text, drop target or expectation
+export const VALUE_ARGS = {
+  fill: 1, select: 1, press: 1, type: 1, drag: 1,
+  'verify-count': 1, 'verify-attribute': 2, 'verify-css': 2,
+};
+
+/**
+ * `let loc = first; if (await loc.count() === 0) loc = next; ...` for a strategy list.
+ */
+function fallbackChain(strategies, root, text, name = 'loc') {
+  return strategies.map(([, locate], i) => i === 0
+    ? `  let ${name} = ${locate(root, text)};`
+    : `  if (await ${name}.count() === 0) ${name} = ${locate(root, text)};`).join('\n');
+}
+
+/**
+ * Declare `let <name>` as a ref, an explicit locator, or the command's fallback chain.
+ */
+function findTarget(cmdName, target, root, name = 'loc') {
+  const esc = (s) => s.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  if (/^e\d+$/.test(target)) return `  let ${name} = page.locator('aria-ref=${target}');`;
+  const explicit = explicitLocator(target, root);
+  if (explicit) return `  let ${name} = ${explicit};`;
+  return fallbackChain(TEXT_STRATEGIES[cmdName], root, esc(target), name);
+}
+
+/**
+ * Build a run-code args object that uses Playwright's native text locators.
+ * e.g. click "Active"       → page.getByText("Active").click()
+ *      fill "Email" "test"  → page.getByLabel("Email").fill("test")
+ *      check "Buy groceries" → listitem with text → checkbox.check()
+ *      press "Search" Enter  → page.getByLabel("Search").press("Enter")
+ *      drag "Card A" "Done"  → getByText("Card A").dragTo(getByText("Done"))
+ * Trailing `in <role> <text>` / `within ...` / `nth=N` scope the lookup (see parseScope).
+ * press, type, upload and drag also take refs (e5) for any target; `submit`
+ * presses Enter after type, and `baseDir` resolves upload paths.
+ */
+export function textToRunCode(cmdName, textArg, extraArgs, { submit = false, baseDir } = {}) {
+  // Without a key, text, file or drop target these are plain keyboard / daemon commands
+  if (['press', 'type', 'upload', 'drag'].includes(cmdName) && extraArgs.length === 0) return null;
+  const esc = (s) => s.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  const text = esc(textArg);
+  // Values come before the scope, so "in" can still be typed as a value
+  const valueCount = VALUE_ARGS[cmdName] ?? 0;
+  const scope = parseScope(extraArgs.slice(valueCount));
+  const value = esc(String(extraArgs[0] ?? ''));
+  const nth = scope.nth;
+
+  // Explicit locators skip the fallback chain
+  const locator = explicitLocator(textArg, scope.root);
+  const action = locator && {
+    click: 'click()', dblclick: 'dblclick()', hover: 'hover()', check: 'check()', uncheck: 'uncheck()',
+    fill: `fill('${value}')`, select: `selectOption('${value}')`, press: `press('${value}')`,
+    type: submit ? null : `pressSequentially('${value}')`,
+  }[cmdName];
+  if (action) return { _: ['run-code', `async (page) => {\n  await ${locator}${nth}.${action};\n}`] };
+
+  // Scoped lookups name the container once and search inside it
+  const setup = scope.root === 'page' ? '' : `\n  const scope = ${scope.root};`;
+  const root = scope.root === 'page' ? 'page' : 'scope';
+
+  const find = (target, name) => findTarget(cmdName, target, root, name);
+
+  switch (cmdName) {
+    case 'press':
+      return { _: ['run-code', `async (page) => {${setup}
+${find(textArg)}
+  await loc${nth}.press('${value}');
+}`] };
+    case 'type':
+      return { _: ['run-code', `async (page) => {${setup}
+${find(textArg)}
+  await loc${nth}.pressSequentially('${value}');${submit ? `\n  await loc${nth}.press('Enter');` : ''}
+}`] };
+    case 'upload': {
+      const files = scope.args.map(f => `'${esc(baseDir ? path.resolve(baseDir, String(f)) : String(f))}'`);
+      // File inputs take the files directly; anything else opens a file chooser
+      return { _: ['run-code', `async (page) => {${setup}
+${find(textArg)}
+  const files = [${files.join(', ')}];
+  if (await loc${nth}.evaluate(el => el instanceof HTMLInputElement && el.type === 'file')) { await loc${nth}.setInputFiles(files); return; }
+  const chooser = page.waitForEvent('filechooser');
+  await loc${nth}.click();
+  await (await chooser).setFiles(files);
+}`] };
+    }
+    case 'drag':
+      return { _: ['run-code', `async (page) => {${setup}
+${find(textArg, 'from')}
+${find(String(extraArgs[0] ?? ''), 'to')}
+  await from${nth}.dragTo(to);
+}`] };
+    case 'click':
+    case 'dblclick':
+    case 'hover':
+      return { _: ['run-code', `async (page) => {${setup}
+${fallbackChain(TEXT_STRATEGIES[cmdName], root, text)}
+  await loc${nth}.${cmdName}();
+}`] };
+    case 'fill':
+      // Try getByLabel first, fall back to getByPlaceholder, then getByRole('textbox')
+      return { _: ['run-code', `async (page) => {${setup}
+${fallbackChain(TEXT_STRATEGIES.fill, root, text)}
+  await loc${nth}.fill('${value}');
+}`] };
+    case 'select':
+      return { _: ['run-code', `async (page) => {${setup}
+${fallbackChain(TEXT_STRATEGIES.select, root, text)}
+  await loc${nth}.selectOption('${value}');
+}`] };
+    case 'check':
+    case 'uncheck':
+      // Scope to listitem/group with matching text, then find checkbox inside
+      return { _: ['run-code', `async (page) => {${setup}
+  const item = ${root}.getByRole('listitem').filter({ hasText: '${text}' });
+  if (await item.count() > 0) { await item${nth}.getByRole('checkbox').${cmdName}(); return; }
+${fallbackChain(TEXT_STRATEGIES[cmdName].slice(1), root, text)}
+  await loc${nth}.${cmdName}();
+}`] };
+    default:
+      return null;
+  }
+}
+
+// ─── Text locator diagnostics ───────────────────────────────────────────────
+
+// Candidates listed per strategy
+const MAX_CANDIDATES = 5;
+
+/**
+ * Build a run-code args object that counts what every strategy for a text
+ * command matches, with the first few candidates' aria lines (`button "Save"`).
+ * Resolves to [{ strategy, locator, count, candidates }], or null when the
+ * target is not a text locator.
+ */
+export function diagnoseToRunCode(cmdName, textArg, extraArgs) {
+  const strategies = TEXT_STRATEGIES[cmdName];
+  if (!strategies || /^e\d+$/.test(textArg) || explicitLocator(textArg)) return null;
+  const esc = (s) => s.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  const text = esc(textArg);
+  const { root } = parseScope(extraArgs.slice(VALUE_ARGS[cmdName] ?? 0));
+  const entries = strategies.map(([label, locate]) =>
+    `['${label}', ${locate('scope', text)}, '${esc(locate('page', text).replace(/^page\./, ''))}']`);
+  return { _: ['run-code', `async (page) => {
+  const scope = ${root};
+  const report = [];
+  for (const [strategy, loc, locator] of [${entries.join(', ')}]) {
+    const count = await loc.count();
+    const candidates = [];
+    for (let i = 0; i < Math.min(count, ${MAX_CANDIDATES}); i++)
+      candidates.push((await loc.nth(i).ariaSnapshot({ timeout: 1000 }).catch(() => '')).split('\\n')[0].replace(/^- /, '').replace(/:$/, ''));
+    report.push({ strategy, locator, count, candidates });
+  }
+  return report;
+}`] };
+}
+
+/**
+ * Explain a diagnoseToRunCode report: what each strategy matched, which one
+ * the command used, and how to pick an element precisely. Returns lines.
+ */
+export function formatDiagnosis(cmdName, textArg, report) {
+  const used = report.find(r => r.count > 0);
+  const lines = [];
+  if (!used) lines.push(`${cmdName} "${textArg}" matched no elements. Tried:`);
+  else if (used.count > 1) lines.push(`${cmdName} "${textArg}" is ambiguous — ${used.strategy} matched ${used.count} elements. Tried:`);
+  else lines.push(`${cmdName} "${textArg}" resolved by ${used.strategy}. Tried:`);
+  const width = Math.max(...report.map(r => r.strategy.length));
+  for (const r of report) {
+    const marker = r === used ? '→' : ' ';
+    const count = `${r.count} match${r.count === 1 ? '' : 'es'}`;
+    lines.push(`  ${marker} ${r.strategy.padEnd(width)}  ${count.padEnd(10)} ${c.dim}${r.locator}${c.reset}`);
+  }
+
+  // Candidates: what the used strategy matched, else anything a looser strategy found
+  const shown = used ?? report.find(r => r.candidates.length > 0);
+  if (shown?.candidates.length) {
+    lines.push(`  Candidates:`);
+    shown.candidates.forEach((candidate, i) => {
+      const role = /^([a-z]+) "((?:[^"\\]|\\.)*)"/.exec(candidate);
+      // Identical candidates still need an index
+      const twins = shown.candidates.filter(other => other === candidate);
+      const nth = twins.length > 1 ? ` nth=${shown.candidates.slice(0, i).filter(other => other === candidate).length}` : '';
+      const hint = role ? `${cmdName} role=${role[1]}[name="${role[2]}"]${nth}` : `${cmdName} "${textArg}" nth=${i}`;
+      lines.push(`    ${String(i).padStart(2)}. ${(candidate || '(no accessible name)').padEnd(30)} ${c.dim}${hint}${c.reset}`);
+    });
+    if (shown.count > shown.candidates.length)
+      lines.push(`    … and ${shown.count - shown.candidates.length} more`);
+  }
+  lines.push(`  ${c.dim}Be precise with role=, in <role> "<text>" or nth=N — or run snapshot and use the element's ref (${cmdName} e12)${c.reset}`);
+  return lines;
+}
@@ -31,6 +31,14 @@ export const ALIASES = {
   'chk':  'check',
   'unchk':'uncheck',
 
+  // Keyboard & mouse
+  'kd':   'keydown',
+  'ku':   'keyup',
+  'mm':   'mousemove',
+  'md':   'mousedown',
+  'mu':   'mouseup',
+  'mw':   'mousewheel',
+
   // Inspection
   's':    'snapshot',
   'snap': 'snapshot',
@@ -59,8 +67,8 @@ export const ALIASES = {
 // ─── Known boolean options ───────────────────────────────────────────────────
 
 export const booleanOptions = new Set([
-  'headed', 'persistent', 'extension', 'submit', 'clear',
-  'fullPage', 'includeStatic',
+  'headed', 'persistent', 'extension', 'submit', 'clear', 'not',
+  'fullPage', 'includeStatic', 'diff',
 ]);
 
 // ─── All known commands ──────────────────────────────────────────────────────
@@ -73,7 +81,7 @@ export const ALL_COMMANDS = Object.keys(COMMANDS);
  * Tokenize input respecting quoted strings.
  * "fill e7 'hello world'" → ["fill", "e7", "hello world"]
  */
-function tokenize(line) {
+export function tokenize(line) {
   const tokens = [];
   let current = '';
   let inQuote = null;
@@ -103,6 +111,9 @@ function tokenize(line) {
 
 // ─── Main parse function ─────────────────────────────────────────────────────
 
+const NEGATIVE_NUMBER = /^-\d+(\.\d+)?$/;
+const NUMBER_MASK = '\0';
+
 /**
  * Parse a REPL input line into a minimist args object ready for the daemon.
  * Returns null if the line is empty.
@@ -115,17 +126,21 @@ export function parseInput(line) {
   const cmd = tokens[0].toLowerCase();
   if (ALIASES[cmd]) tokens[0] = ALIASES[cmd];
 
-  // Parse with minimist (same lib and boolean set as playwright-cli)
-  const args = minimist(tokens, { boolean: [...booleanOptions] });
+  // Parse with minimist (same lib and boolean set as playwright-cli).
+  // minimist reads "-100" as short flags, so negative numbers
+  // (mousewheel 0 -100) are masked until it is done.
+  const masked = tokens.map(t => NEGATIVE_NUMBER.test(t) ? NUMBER_MASK + t : t);
+  const args = minimist(masked, { boolean: [...booleanOptions] });
+  const unmask = (value) => String(value).replace(NUMBER_MASK, '');
 
   // Stringify non-boolean values (playwright-cli does this)
   for (const key of Object.keys(args)) {
     if (key === '_') continue;
     if (typeof args[key] !== 'boolean')
-      args[key] = String(args[key]);
+      args[key] = unmask(args[key]);
   }
   for (let i = 0; i < args._.length; i++)
-    args._[i] = String(args._[i]);
+    args._[i] = unmask(args._[i]);
 
   // Remove boolean options set to false that weren't explicitly passed.
   // minimist sets all declared booleans to false by default, but the
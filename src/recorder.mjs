@@ -8,22 +8,29 @@
  *   - Comments start with #
  *   - Blank lines are ignored
  *   - First line is a metadata comment with timestamp
+ *   - Blocks: if <command> … [else …] end, repeat <n> … end,
+ *     for <name> in <items…> … end
+ *   - include <file.pw> / call <file.pw> name=value … (relative to this file)
  *
  * Example:
  *   # Login test
  *   # recorded 2026-02-09T19:30:00Z
  *
  *   open https://myapp.com
- *   snapshot
- *   click e5
- *   fill e7 admin@test.com
- *   fill e9 password123
- *   click e12
- *   verify-text Welcome back
+ *   if verify-text "Accept cookies"
+ *     click "Accept cookies"
+ *   end
+ *   for user in "alice" "bob"
+ *     fill "Email" ${user}@test.com
+ *     click "Sign in"
+ *     verify-text Welcome back
+ *   end
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
+import { tokenize } from './parser.mjs';
+import { interpolate, parseAssignment, VAR_NAME } from './variables.mjs';
 
 // ─── Session Recorder ────────────────────────────────────────────────────────
 
@@ -121,8 +128,25 @@ export class SessionRecorder {
 }
 
 // ─── Session Player ──────────────────────────────────────────────────────────
+//
+//  A .pw file compiles to a flat program. Blocks become jump targets:
+//
+//    if      { text, else }   condition command; branch(false) jumps to `else`
+//    else    { end }          reached after the then-branch; skips to `end`
+//    repeat  { count, end }   loop header — re-entered from its `end`
+//    for     { name, items, end }
+//    end     { loop }         jumps back to the loop header (if any)
+//    scope / unscope          wrap a `call`, setting and restoring its parameters
+//    breakpoint               marks the next command; see SessionPlayer#breakpoint
+//
+//  `include` and `call` inline the other file's program at compile time;
+//  the inlined steps carry `via`, the include line in the replayed file.
+//
 
 export class SessionPlayer {
+  #loops = new Map();
+  #scopes = [];
+
   /**
    * Load commands from a .pw file.
    * @param {string} filename
@@ -140,35 +164,308 @@ export class SessionPlayer {
       .filter(line => line && !line.startsWith('#'));
   }
 
+  /**
+   * Compile a .pw file into a flat program of steps.
+   * Each step carries its file and 1-based line number.
+   * Included files are inlined, so their steps point at their own lines.
+   * @param {string} filename
+   * @returns {object[]}
+   */
+  static compile(filename) {
+    const program = [];
+    SessionPlayer.#compileInto(program, filename, []);
+    return program;
+  }
+
+  static #compileInto(program, filename, includeChain) {
+    if (!fs.existsSync(filename)) {
+      throw new Error(`File not found: ${filename}`);
+    }
+
+    const resolved = path.resolve(filename);
+    if (includeChain.includes(resolved)) {
+      throw new Error(`Circular include: ${[...includeChain, resolved].map(f => path.basename(f)).join(' → ')}`);
+    }
+    const chain = [...includeChain, resolved];
+
+    const blocks = [];
+    const lines = fs.readFileSync(filename, 'utf-8').split('\n');
+
+    for (const [i, raw] of lines.entries()) {
+      const text = raw.trim();
+      if (!text || text.startsWith('#')) continue;
+
+      const line = i + 1;
+      const where = `${filename}:${line}`;
+      const [keyword] = text.split(/\s+/, 1);
+      const rest = text.substring(keyword.length).trim();
+
+      switch (keyword) {
+        case 'if': {
+          if (!rest) throw new Error(`${where}: "if" needs a command to test`);
+          blocks.push(program.length);
+          program.push({ op: 'if', text: rest, file: filename, line });
+          break;
+        }
+        case 'else': {
+          const open = program[blocks.at(-1)];
+          if (open?.op !== 'if' || open.elseAt !== undefined)
+            throw new Error(`${where}: "else" without matching "if"`);
+          open.elseAt = program.length;
+          open.else = program.length + 1;
+          program.push({ op: 'else', text, file: filename, line });
+          break;
+        }
+        case 'repeat': {
+          if (!rest) throw new Error(`${where}: "repeat" needs a count`);
+          blocks.push(program.length);
+          program.push({ op: 'repeat', text, count: rest, file: filename, line });
+          break;
+        }
+        case 'for': {
+          const match = rest.match(/^(\S+)\s+in\s+(.+)$/);
+          if (!match || !VAR_NAME.test(match[1]))
+            throw new Error(`${where}: expected "for <name> in <items...>"`);
+          blocks.push(program.length);
+          program.push({ op: 'for', text, name: match[1], items: match[2], file: filename, line });
+          break;
+        }
+        case 'end': {
+          if (blocks.length === 0) throw new Error(`${where}: "end" without matching block`);
+          const start = blocks.pop();
+          const open = program[start];
+          const step = { op: 'end', text, file: filename, line };
+          if (open.op === 'if') {
+            if (open.elseAt !== undefined) program[open.elseAt].end = program.length;
+            else open.else = program.length;
+          } else {
+            open.end = program.length;
+            step.loop = start;
+          }
+          program.push(step);
+          break;
+        }
+        case 'breakpoint': {
+          if (rest) throw new Error(`${where}: "breakpoint" takes no arguments`);
+          program.push({ op: 'breakpoint', text, file: filename, line });
+          break;
+        }
+        case 'include':
+        case 'call': {
+          const [target, ...assignments] = tokenize(rest);
+          if (!target) throw new Error(`${where}: "${keyword}" needs a file`);
+          if (keyword === 'include' && assignments.length > 0)
+            throw new Error(`${where}: use "call" to pass parameters`);
+
+          const params = {};
+          for (const item of assignments) {
+            const assignment = parseAssignment(item);
+            if (!assignment) throw new Error(`${where}: expected name=value, got "${item}"`);
+            params[assignment.name] = assignment.value;
+          }
+
+          // Resolved relative to the including file, not the working directory
+          const includePath = path.resolve(path.dirname(filename), target);
+          if (keyword === 'call') program.push({ op: 'scope', text, params, file: filename, line });
+          const first = program.length;
+          try {
+            SessionPlayer.#compileInto(program, includePath, chain);
+          } catch (err) {
+            throw new Error(`${where}: ${err.message}`);
+          }
+          // Nested includes are overwritten by the outer ones, so `via` ends up in the replayed file
+          for (const step of program.slice(first)) step.via = line;
+          if (keyword === 'call') program.push({ op: 'unscope', text, file: filename, line });
+          break;
+        }
+        default:
+          program.push({ op: 'cmd', text, file: filename, line });
+      }
+    }
+
+    if (blocks.length > 0) {
+      const open = program[blocks.at(-1)];
+      throw new Error(`${open.file}:${open.line}: "${open.op}" without matching "end"`);
+    }
+  }
+
   /**
    * Create a player that yields commands one at a time.
    * Supports step-through mode where it pauses between commands.
+   * @param {string} filename
+   * @param {object} [options]
+   * @param {object} [options.vars] - Variables shared with the REPL (loop variables are written here)
+   * @param {number} [options.from] - Start at this line of the file instead of the top
+   * @param {number} [options.to] - Stop after this line
    */
-  constructor(filename) {
+  constructor(filename, options = {}) {
     this.filename = filename;
-    this.commands = SessionPlayer.load(filename);
-    this.index = 0;
+    this.vars = options.vars || {};
+    this.program = SessionPlayer.compile(filename);
+    if (options.to < options.from) throw new Error(`${filename}: line ${options.from} comes after line ${options.to}`);
+    this.start = options.from ? this.#startOf(options.from) : 0;
+    this.to = options.to;
+    this.index = this.start;
+    this.step = null;
+    this.breakpoint = null;
+  }
+
+  /**
+   * The line of the replayed file a step comes from — for included steps,
+   * the line of the include.
+   */
+  static lineOf(step) {
+    return step.via ?? step.line;
+  }
+
+  // First step on or after `line`. Inside a block (if, loop or call) that's
+  // the outermost block, so its branches and variables are set up.
+  #startOf(line) {
+    const open = [];
+    for (const [at, step] of this.program.entries()) {
+      if (SessionPlayer.lineOf(step) >= line && !['else', 'end', 'unscope'].includes(step.op))
+        return open[0] ?? at;
+      if (['if', 'repeat', 'for', 'scope'].includes(step.op)) open.push(at);
+      if (step.op === 'end' || step.op === 'unscope') open.pop();
+    }
+    throw new Error(`${this.filename}: no commands from line ${line}`);
+  }
+
+  /** Command lines in the program (conditions included), in file order. */
+  get commands() {
+    return this.program.filter(s => s.op === 'cmd' || s.op === 'if').map(s => s.text);
   }
 
   get done() {
-    return this.index >= this.commands.length;
+    return this.index >= this.program.length;
   }
 
   get current() {
-    return this.commands[this.index] || null;
+    return this.program[this.index]?.text ?? null;
   }
 
+  /** `[n/total]` over command lines only, matching the count in the replay banner. */
   get progress() {
-    return `[${this.index}/${this.commands.length}]`;
+    const isCommand = s => s.op === 'cmd' || s.op === 'if';
+    const done = this.program.slice(0, this.index).filter(isCommand).length;
+    return `[${done}/${this.program.filter(isCommand).length}]`;
   }
 
+  /**
+   * Advance to the next command, running control-flow steps on the way.
+   * For an `if` step the condition command is returned; report its
+   * outcome with branch(). Returns null when the program is finished.
+   * `breakpoint` is set to the breakpoint step passed on the way, if any.
+   */
   next() {
-    if (this.done) return null;
-    return this.commands[this.index++];
+    this.breakpoint = null;
+    while (!this.done) {
+      const at = this.index++;
+      const step = this.program[at];
+      switch (step.op) {
+        case 'cmd':
+        case 'if':
+          if (this.to !== undefined && SessionPlayer.lineOf(step) > this.to) {
+            this.index = this.program.length;
+            break;
+          }
+          this.step = step;
+          return step.text;
+        case 'else':
+          this.index = step.end;
+          break;
+        case 'repeat':
+        case 'for':
+          this.#enterLoop(step, at);
+          break;
+        case 'end':
+          if (step.loop !== undefined) this.index = step.loop;
+          break;
+        case 'scope':
+          this.#enterScope(step);
+          break;
+        case 'unscope':
+          this.#leaveScope();
+          break;
+        case 'breakpoint':
+          this.breakpoint = step;
+          break;
+      }
+    }
+    this.step = null;
+    return null;
+  }
+
+  /**
+   * Report the outcome of the `if` condition just returned by next().
+   */
+  branch(ok) {
+    if (this.step?.op === 'if' && !ok) this.index = this.step.else;
   }
 
   reset() {
-    this.index = 0;
+    while (this.#scopes.length > 0) this.#leaveScope();
+    this.index = this.start;
+    this.step = null;
+    this.breakpoint = null;
+    this.#loops.clear();
+  }
+
+  // `call file.pw name=value` — parameters shadow variables until the call returns
+  #enterScope(step) {
+    const saved = {};
+    for (const [name, value] of Object.entries(step.params)) {
+      saved[name] = Object.hasOwn(this.vars, name) ? { value: this.vars[name] } : null;
+      try {
+        this.vars[name] = interpolate(value, this.vars);
+      } catch (err) {
+        throw new Error(`${step.file}:${step.line}: ${err.message}`);
+      }
+    }
+    this.#scopes.push(saved);
+  }
+
+  #leaveScope() {
+    const saved = this.#scopes.pop();
+    for (const [name, previous] of Object.entries(saved)) {
+      if (previous) this.vars[name] = previous.value;
+      else delete this.vars[name];
+    }
+  }
+
+  #enterLoop(step, at) {
+    let state = this.#loops.get(at);
+    if (!state) {
+      state = { items: this.#loopItems(step), i: 0 };
+      this.#loops.set(at, state);
+    }
+    if (state.i >= state.items.length) {
+      this.#loops.delete(at);
+      this.index = step.end + 1;
+      return;
+    }
+    if (step.op === 'for') this.vars[step.name] = state.items[state.i];
+    state.i++;
+  }
+
+  #loopItems(step) {
+    const where = `${step.file}:${step.line}`;
+    if (step.op === 'for') {
+      try {
+        return tokenize(interpolate(step.items, this.vars));
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`);
+      }
+    }
+    let count;
+    try {
+      count = Number(interpolate(step.count, this.vars));
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`);
+    }
+    if (!Number.isInteger(count) || count < 0)
+      throw new Error(`${where}: "repeat" count must be a non-negative integer, got "${step.count}"`);
+    return Array.from({ length: count }, (_, i) => i + 1);
   }
 }
 
@@ -182,6 +479,7 @@ export class SessionManager {
   #recorder = new SessionRecorder();
   #player = null;
   #step = false;
+  #lastSaved = null;
 
   /** Current mode: 'idle' | 'recording' | 'paused' | 'replaying' */
   get mode() {
@@ -199,7 +497,9 @@ export class SessionManager {
   save() {
     if (this.mode !== 'recording' && this.mode !== 'paused')
       throw new Error('Not recording');
-    return this.#recorder.save();
+    const result = this.#recorder.save();
+    this.#lastSaved = result.filename;
+    return result;
   }
 
   togglePause() {
@@ -221,12 +521,15 @@ export class SessionManager {
 
   get recordingFilename() { return this.#recorder.filename; }
   get recordedCount() { return this.#recorder.commandCount; }
+  get recordedCommands() { return [...this.#recorder.commands]; }
+  /** File written by the most recent save(), or null. */
+  get lastSaved() { return this.#lastSaved; }
 
   // ── Playback ───────────────────────────────────────────────────
 
-  startReplay(filename, step = false) {
+  startReplay(filename, step = false, options = {}) {
     if (this.mode !== 'idle') throw new Error(`Cannot replay while ${this.mode}`);
-    this.#player = new SessionPlayer(filename);
+    this.#player = new SessionPlayer(filename, options);
     this.#step = step;
     return this.#player;
   }
@@ -9,127 +9,220 @@ import path from 'node:path';
 import fs from 'node:fs';
 import { execSync } from 'node:child_process';
 
-import { replVersion, COMMANDS } from './resolve.mjs';
+import { replVersion, COMMANDS, minimist } from './resolve.mjs';
 import { DaemonConnection } from './connection.mjs';
 import { socketPath, daemonProfilesDir, isDaemonRunning, startDaemon } from './workspace.mjs';
 import { parseInput, ALIASES, ALL_COMMANDS } from './parser.mjs';
-import { SessionManager } from './recorder.mjs';
+import { SessionManager, SessionPlayer } from './recorder.mjs';
+import { interpolate, unquote, VAR_NAME } from './variables.mjs';
+import { writeReports } from './reporters.mjs';
+import { exportFile, programToSpec } from './exporter.mjs';
+import { parseChain, locatorArg, pwArg } from './importer.mjs';
+import { textPattern, formatLocation } from './utils.mjs';
+import { NEGATED_COMMANDS, LOCATOR_ASSERTIONS, VALUE_ARGS, locateTarget, textToRunCode, diagnoseToRunCode, formatDiagnosis } from './locators.mjs';
+import { baselinePath, compareOptions, compareScreenshot } from './screenshots.mjs';
+import { snapshotPath, compareSnapshot, stripRefs, unifiedDiff } from './snapshots.mjs';
 import { c } from './colors.mjs';
 
+// ─── Control-flow keywords (.pw files only) ──────────────────────────────────
+
+const CONTROL_KEYWORDS = ['if', 'else', 'end', 'repeat', 'for', 'include', 'call', 'breakpoint'];
+
 // ─── Verify commands → run-code translation ─────────────────────────────────
 
+export const VERIFY_COMMANDS = [
+  'verify-text', 'verify-element', 'verify-value', 'verify-list', 'verify-url', 'verify-title',
+  'verify-visible', 'verify-hidden', 'verify-enabled', 'verify-disabled', 'verify-checked',
+  'verify-count', 'verify-attribute', 'verify-css', 'verify-no-text', 'verify-no-element',
+  'verify-screenshot', 'verify-snapshot',
+];
+
 /**
  * The daemon has browser_verify_* tools but no CLI keyword mappings.
  * We intercept verify-* commands here and translate them to run-code calls
- * that use the equivalent Playwright API.
+ * that use the equivalent Playwright API, retried until `timeout` ms pass
+ * (0 checks once). With `not`, the check must fail instead (--not).
  */
-export function verifyToRunCode(cmdName, positionalArgs) {
+export function verifyToRunCode(cmdName, positionalArgs, { timeout = DEFAULT_TIMEOUT, not = false } = {}) {
   const esc = (s) => s.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  if (NEGATED_COMMANDS[cmdName]) return verifyToRunCode(NEGATED_COMMANDS[cmdName], positionalArgs, { timeout, not: !not });
+  const fail = (condition, message, notMessage) => failWhen(condition, message, notMessage, not);
+  let body;
 
   switch (cmdName) {
     case 'verify-text': {
       const text = positionalArgs.join(' ');
       if (!text) return null;
-      return { _: ['run-code', `async (page) => { if (await page.getByText('${esc(text)}').filter({ visible: true }).count() === 0) throw new Error('Text not found: ${esc(text)}'); }`] };
+      body = [`  ${fail(`await page.getByText('${esc(text)}').filter({ visible: true }).count() === 0`, `'Text not found: ${esc(text)}'`, `'Text found: ${esc(text)}'`)}`];
+      break;
     }
     case 'verify-element': {
       const [role, ...nameParts] = positionalArgs;
       const name = nameParts.join(' ');
       if (!role || !name) return null;
-      return { _: ['run-code', `async (page) => { if (await page.getByRole('${esc(role)}', { name: '${esc(name)}' }).count() === 0) throw new Error('Element not found: ${esc(role)} "${esc(name)}"'); }`] };
+      body = [`  ${fail(`await page.getByRole('${esc(role)}', { name: '${esc(name)}' }).count() === 0`, `'Element not found: ${esc(role)} "${esc(name)}"'`, `'Element found: ${esc(role)} "${esc(name)}"'`)}`];
+      break;
     }
     case 'verify-value': {
       const [ref, ...valueParts] = positionalArgs;
       const value = valueParts.join(' ');
       if (!ref || !value) return null;
-      return { _: ['run-code', `async (page) => { const el = page.locator('[aria-ref="${esc(ref)}"]'); const v = await el.inputValue(); if (v !== '${esc(value)}') throw new Error('Expected "${esc(value)}", got "' + v + '"'); }`] };
+      body = [`  const el = page.locator('[aria-ref="${esc(ref)}"]'); const v = await el.inputValue(); ${fail(`v !== '${esc(value)}'`, `'Expected "${esc(value)}", got "' + v + '"'`, `'Expected a value other than "${esc(value)}"'`)} return v;`];
+      break;
     }
     case 'verify-list': {
       const [ref, ...items] = positionalArgs;
       if (!ref || items.length === 0) return null;
-      const checks = items.map(item => `if (await loc.getByText('${esc(item)}').count() === 0) throw new Error('Item not found: ${esc(item)}');`).join(' ');
-      return { _: ['run-code', `async (page) => { const loc = page.locator('[aria-ref="${esc(ref)}"]'); ${checks} }`] };
+      // --not: none of the items may be there
+      const checks = items.map(item => fail(`await loc.getByText('${esc(item)}').count() === 0`, `'Item not found: ${esc(item)}'`, `'Item found: ${esc(item)}'`)).join(' ');
+      body = [`  const loc = page.locator('[aria-ref="${esc(ref)}"]'); ${checks}`];
+      break;
+    }
+    case 'verify-url':
+    case 'verify-title': {
+      const expected = positionalArgs.join(' ');
+      if (!expected) return null;
+      const what = cmdName === 'verify-url' ? 'URL' : 'title';
+      const actual = cmdName === 'verify-url' ? 'page.url()' : 'await page.title()';
+      const pattern = textPattern(expected, { glob: cmdName === 'verify-url' });
+      body = [`  const actual = ${actual}; ${fail(`!new RegExp('${esc(pattern.source)}', '${pattern.flags}').test(actual)`, `'Expected ${what} to match ${esc(expected)}, got ' + actual`, `'Expected ${what} not to match ${esc(expected)}, got ' + actual`)}`];
+      break;
     }
     default:
-      return null;
+      body = LOCATOR_ASSERTIONS.includes(cmdName) ? locatorAssertion(cmdName, positionalArgs, not) : null;
+      if (!body) return null;
   }
+  return { _: ['run-code', retrying(body, timeout)] };
+}
+
+/**
+ * `if (<condition>) throw`, or with `not` the reverse: throw unless it holds.
+ * Messages are JS expressions.
+ */
+function failWhen(condition, message, notMessage, not) {
+  if (!not) return `if (${condition}) throw new Error(${message});`;
+  const negated = /^!\((.*)\)$/s.exec(condition)?.[1] ?? /^!(.*)$/s.exec(condition)?.[1] ?? `!(${condition})`;
+  return `if (${negated}) throw new Error(${notMessage});`;
+}
+
+// ─── Assertion timeouts ─────────────────────────────────────────────────────
+
+// Same default as Playwright's expect()
+export const DEFAULT_TIMEOUT = 5000;
+const RETRY_INTERVAL = 100;
+
+/**
+ * Parse a timeout in milliseconds (--timeout, .set timeout).
+ */
+export function parseTimeout(value) {
+  if (!/^\d+$/.test(String(value))) throw new Error(`Invalid timeout: ${value} (expected milliseconds, e.g. 5000)`);
+  return Number(value);
+}
+
+/**
+ * How long an assertion retries: its --timeout, else the session's — but
+ * `quiet` (`if` conditions) checks once.
+ */
+function assertionTimeout(ctx, args, quiet) {
+  if (args.timeout !== undefined) return parseTimeout(args.timeout);
+  return quiet ? 0 : ctx.timeout ?? DEFAULT_TIMEOUT;
+}
+
+/**
+ * Wrap a check's body lines in a run-code function that re-runs it until it
+ * stops throwing or `timeout` ms have passed — like Playwright's web-first expect().
+ */
+function retrying(body, timeout) {
+  if (!timeout) return `async (page) => {\n${body.join('\n')}\n}`;
+  return [
+    'async (page) => {',
+    `  const deadline = Date.now() + ${timeout};`,
+    '  const check = async () => {',
+    ...body.map(l => `  ${l}`),
+    '  };',
+    '  while (true) {',
+    '    try {',
+    '      return await check();',
+    '    } catch (err) {',
+    '      if (Date.now() >= deadline) throw err;',
+    '    }',
+    `    await page.waitForTimeout(${RETRY_INTERVAL});`,
+    '  }',
+    '}',
+  ].join('\n');
 }
 
-// ─── Text-to-action via Playwright native locators ──────────────────────────
+// ─── Locator assertions (verify-visible, verify-count, ...) ─────────────────
 
 /**
- * Build a run-code args object that uses Playwright's native text locators.
- * e.g. click "Active"       → page.getByText("Active").click()
- *      fill "Email" "test"  → page.getByLabel("Email").fill("test")
- *      check "Buy groceries" → listitem with text → checkbox.check()
+ * The body lines of a locator assertion.
+ *   verify-visible <target>              verify-hidden <target>
+ *   verify-enabled / -disabled <target>  verify-checked <target>
+ *   verify-count <target> <n>
+ *   verify-attribute <target> <name> <value>
+ *   verify-css <target> <property> <value>
+ * With `not`, the element must still exist for the state, attribute and
+ * style checks — only the check itself is reversed.
+ * Returns null when arguments are missing.
  */
-export function textToRunCode(cmdName, textArg, extraArgs) {
+function locatorAssertion(cmdName, positionalArgs, not = false) {
   const esc = (s) => s.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
-  const text = esc(textArg);
+  const [target, ...rest] = positionalArgs;
+  const valueCount = VALUE_ARGS[cmdName] ?? 0;
+  if (target === undefined || rest.length < valueCount) return null;
+  const [name, value] = rest.slice(0, valueCount).map(v => esc(String(v)));
+  const { lines, loc } = locateTarget(cmdName, target, rest);
+  const label = esc(String(target));
+  const found = `  if (await ${loc}.count() === 0) throw new Error('Element not found: ${label}');`;
+  const fail = (condition, message, notMessage) => `  ${failWhen(condition, message, notMessage, not)}`;
 
   switch (cmdName) {
-    case 'click':
-      return { _: ['run-code', `async (page) => {
-  let loc = page.getByText('${text}', { exact: true });
-  if (await loc.count() === 0) loc = page.getByRole('button', { name: '${text}' });
-  if (await loc.count() === 0) loc = page.getByRole('link', { name: '${text}' });
-  if (await loc.count() === 0) loc = page.getByText('${text}');
-  await loc.click();
-}`] };
-    case 'dblclick':
-      return { _: ['run-code', `async (page) => {
-  let loc = page.getByText('${text}', { exact: true });
-  if (await loc.count() === 0) loc = page.getByRole('button', { name: '${text}' });
-  if (await loc.count() === 0) loc = page.getByRole('link', { name: '${text}' });
-  if (await loc.count() === 0) loc = page.getByText('${text}');
-  await loc.dblclick();
-}`] };
-    case 'hover':
-      return { _: ['run-code', `async (page) => {
-  let loc = page.getByText('${text}', { exact: true });
-  if (await loc.count() === 0) loc = page.getByRole('button', { name: '${text}' });
-  if (await loc.count() === 0) loc = page.getByRole('link', { name: '${text}' });
-  if (await loc.count() === 0) loc = page.getByText('${text}');
-  await loc.hover();
-}`] };
-    case 'fill': {
-      const value = esc(extraArgs[0] || '');
-      // Try getByLabel first, fall back to getByPlaceholder, then getByRole('textbox')
-      return { _: ['run-code', `async (page) => {
-  let loc = page.getByLabel('${text}');
-  if (await loc.count() === 0) loc = page.getByPlaceholder('${text}');
-  if (await loc.count() === 0) loc = page.getByRole('textbox', { name: '${text}' });
-  await loc.fill('${value}');
-}`] };
-    }
-    case 'select': {
-      const value = esc(extraArgs[0] || '');
-      return { _: ['run-code', `async (page) => {
-  let loc = page.getByLabel('${text}');
-  if (await loc.count() === 0) loc = page.getByRole('combobox', { name: '${text}' });
-  await loc.selectOption('${value}');
-}`] };
-    }
-    case 'check':
-      // Scope to listitem/group with matching text, then find checkbox inside
-      return { _: ['run-code', `async (page) => {
-  const item = page.getByRole('listitem').filter({ hasText: '${text}' });
-  if (await item.count() > 0) { await item.getByRole('checkbox').check(); return; }
-  let loc = page.getByLabel('${text}');
-  if (await loc.count() === 0) loc = page.getByRole('checkbox', { name: '${text}' });
-  await loc.check();
-}`] };
-    case 'uncheck':
-      return { _: ['run-code', `async (page) => {
-  const item = page.getByRole('listitem').filter({ hasText: '${text}' });
-  if (await item.count() > 0) { await item.getByRole('checkbox').uncheck(); return; }
-  let loc = page.getByLabel('${text}');
-  if (await loc.count() === 0) loc = page.getByRole('checkbox', { name: '${text}' });
-  await loc.uncheck();
-}`] };
-    default:
-      return null;
+    case 'verify-visible':
+      lines.push(fail(`await ${loc}.filter({ visible: true }).count() === 0`, `'Not visible: ${label}'`, `'Visible: ${label}'`));
+      break;
+    case 'verify-hidden':
+      lines.push(fail(`await ${loc}.filter({ visible: true }).count() > 0`, `'Still visible: ${label}'`, `'Hidden: ${label}'`));
+      break;
+    case 'verify-enabled':
+      lines.push(found, fail(`!(await ${loc}.isEnabled())`, `'Not enabled: ${label}'`, `'Enabled: ${label}'`));
+      break;
+    case 'verify-disabled':
+      lines.push(found, fail(`!(await ${loc}.isDisabled())`, `'Not disabled: ${label}'`, `'Disabled: ${label}'`));
+      break;
+    case 'verify-checked':
+      lines.push(found, fail(`!(await ${loc}.isChecked())`, `'Not checked: ${label}'`, `'Checked: ${label}'`));
+      break;
+    case 'verify-count':
+      if (!/^\d+$/.test(name)) return null;
+      lines.push(`  const count = await loc.count();`,
+        fail(`count !== ${name}`, `'Expected ${name} elements for ${label}, found ' + count`, `'Expected other than ${name} elements for ${label}'`));
+      break;
+    case 'verify-attribute':
+      lines.push(found, `  const value = await ${loc}.getAttribute('${name}');`,
+        fail(`value !== '${value}'`, `'Expected ${name}="${value}" on ${label}, got ' + JSON.stringify(value)`, `'Expected ${name} other than "${value}" on ${label}'`));
+      break;
+    case 'verify-css':
+      lines.push(found, `  const value = await ${loc}.evaluate((el, name) => getComputedStyle(el).getPropertyValue(name).trim(), '${name}');`,
+        fail(`value !== '${value}'`, `'Expected ${name}: ${value} on ${label}, got ' + value`, `'Expected ${name} other than ${value} on ${label}'`));
+      break;
+  }
+  return lines;
+}
+
+// ─── Mouse wheel → run-code ─────────────────────────────────────────────────
+
+/**
+ * mousewheel <dx> <dy> as run-code. The daemon's own mousewheel takes the
+ * vertical delta first, so call page.mouse.wheel() directly — horizontal
+ * first, like Playwright and the exported spec.
+ */
+export function wheelToRunCode(positionalArgs) {
+  const [dx, dy] = positionalArgs;
+  if (dy === undefined) throw new Error('Usage: mousewheel <dx> <dy>');
+  for (const delta of [dx, dy]) {
+    if (!/^-?\d+(\.\d+)?$/.test(delta)) throw new Error(`Invalid mousewheel delta: ${delta} (expected a number)`);
   }
+  return { _: ['run-code', `async (page) => { await page.mouse.wheel(${Number(dx)}, ${Number(dy)}); }`] };
 }
 
 // ─── Response filtering ─────────────────────────────────────────────────────
@@ -148,6 +241,80 @@ export function filterResponse(text) {
   return kept.length > 0 ? kept.join('\n') : null;
 }
 
+/**
+ * Return the trimmed content of one "### Title" section, or null.
+ */
+export function responseSection(text, title) {
+  for (const section of (text || '').split(/^### /m).slice(1)) {
+    const newline = section.indexOf('\n');
+    if (newline === -1) continue;
+    if (section.substring(0, newline).trim() === title)
+      return section.substring(newline + 1).trim();
+  }
+  return null;
+}
+
+// ─── Output capture (cmd ... -> NAME) ───────────────────────────────────────
+
+/**
+ * Extract the value a command produced from its Result section.
+ *   eval / run-code / verify-*   → JSON result (strings unwrapped)
+ *   cookie-get                   → cookie value
+ *   localstorage-get / sessionstorage-get → stored value
+ * Throws when there is nothing to capture.
+ */
+export function captureValue(cmdName, positionalArgs, text) {
+  const result = responseSection(text, 'Result');
+  if (result === null) throw new Error(`${cmdName} returned no result to capture`);
+
+  switch (cmdName) {
+    case 'cookie-get': {
+      const match = result.match(/^[^=]*=(.*) \(domain: /);
+      if (!match) throw new Error(result);
+      return match[1];
+    }
+    case 'localstorage-get':
+    case 'sessionstorage-get': {
+      const prefix = `${positionalArgs[0]}=`;
+      if (!result.startsWith(prefix)) throw new Error(result);
+      return result.substring(prefix.length);
+    }
+    default: {
+      let value;
+      try {
+        value = JSON.parse(result);
+      } catch {
+        return result;
+      }
+      if (value === undefined || value === null) throw new Error(`${cmdName} returned no result to capture`);
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+  }
+}
+
+// ─── Stable refs for recordings ─────────────────────────────────────────────
+
+/**
+ * Rewrite a ref command as typed (`click e21`) so it replays after the refs
+ * have changed. The daemon reports the locator it resolved the ref to in its
+ * "Ran Playwright code" section; that becomes the text argument when the REPL
+ * would find the same element by text, else an explicit locator such as
+ * role=menuitem[name="Open"]. Chained locators are kept as run-code.
+ * Returns null when the response carries no code.
+ */
+export function stableRefLine(source, cmdName, text) {
+  const code = responseSection(text, 'Ran Playwright code');
+  const statement = code?.split('\n').map(l => l.trim()).find(l => l.startsWith('await page.'));
+  if (!statement) return null;
+  const target = locatorArg(cmdName, parseChain(statement.replace(/;$/, '')));
+  if (target) {
+    const match = source.match(/^(\S+\s+)e\d+(?=\s|$)/);
+    return match ? match[1] + target + source.substring(match[0].length) : null;
+  }
+  const fn = pwArg(`async (page) => { ${statement} }`);
+  return fn && `run-code ${fn}`;
+}
+
 // ─── Meta-command handlers ──────────────────────────────────────────────────
 
 export function showHelp() {
@@ -155,14 +322,17 @@ export function showHelp() {
   const categories = {
     'Navigation': ['open', 'goto', 'go-back', 'go-forward', 'reload'],
     'Interaction': ['click', 'dblclick', 'fill', 'type', 'press', 'hover', 'select', 'check', 'uncheck', 'drag'],
-    'Inspection': ['snapshot', 'screenshot', 'eval', 'console', 'network', 'run-code'],
+    'Keyboard & mouse': ['keydown', 'keyup', 'mousemove', 'mousedown', 'mouseup', 'mousewheel'],
+    'Assertions': VERIFY_COMMANDS,
+    'Inspection': ['snapshot', 'screenshot', 'eval', 'console', 'network', 'run-code', 'tracing-start', 'tracing-stop', 'video-start', 'video-stop'],
     'Tabs': ['tab-list', 'tab-new', 'tab-close', 'tab-select'],
     'Storage': ['cookie-list', 'cookie-get', 'localstorage-list', 'localstorage-get', 'state-save', 'state-load'],
   };
   for (const [cat, cmds] of Object.entries(categories)) {
     console.log(`  ${c.bold}${cat}:${c.reset} ${cmds.join(', ')}`);
   }
-  console.log(`\n  ${c.dim}Use .aliases for shortcuts, or type any command with --help${c.reset}`);
+  console.log(`\n  ${c.dim}verify-* take --not to assert the opposite; "soft verify-..." keeps a replay going when it fails${c.reset}`);
+  console.log(`  ${c.dim}Use .aliases for shortcuts, or type any command with --help${c.reset}`);
   console.log(`\n${c.bold}REPL meta-commands:${c.reset}`);
   console.log(`  .aliases              Show command aliases`);
   console.log(`  .status               Show connection status`);
@@ -171,8 +341,15 @@ export function showHelp() {
   console.log(`  .save                 Stop recording and save`);
   console.log(`  .pause                Pause/resume recording`);
   console.log(`  .discard              Discard recording`);
-  console.log(`  .replay <filename>    Replay a recorded session`);
-  console.log(`  .exit                 Exit REPL\n`);
+  console.log(`  .replay <filename>    Replay a recorded session (--from/--to <line>, --from-failure)`);
+  console.log(`  .export <file.ts>     Export session as a Playwright Test spec`);
+  console.log(`  .set timeout <ms>     How long verify-* commands retry (default ${DEFAULT_TIMEOUT})`);
+  console.log(`  .snapdiff             Snapshot, showing only what changed since the last one`);
+  console.log(`  .exit                 Exit REPL`);
+  console.log(`\n${c.bold}Variables:${c.reset}`);
+  console.log(`  set NAME value        Set a variable, use it as \${NAME}`);
+  console.log(`  <command> -> NAME     Store the command's result in NAME`);
+  console.log(`  set                   List variables\n`);
 }
 
 export function showAliases() {
@@ -284,20 +461,106 @@ export function handleSessionCommand(ctx, line) {
     return true;
   }
 
+  if (line.startsWith('.export')) {
+    const [, target, source] = line.split(/\s+/);
+    if (!target) throw new Error('Usage: .export <file.spec.ts> [session.pw]');
+    let spec, from;
+    if (source) {
+      spec = exportFile(source);
+      from = source;
+    } else if (session.mode === 'recording' || session.mode === 'paused') {
+      const title = path.basename(session.recordingFilename).replace(/\.pw$/, '');
+      spec = programToSpec(session.recordedCommands.map(text => ({ op: 'cmd', text })), { title });
+      from = 'current recording';
+    } else if (session.lastSaved) {
+      spec = exportFile(session.lastSaved);
+      from = session.lastSaved;
+    } else {
+      throw new Error('Nothing to export — start with .record, or pass a .pw file');
+    }
+    fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+    fs.writeFileSync(target, spec, 'utf-8');
+    console.log(`${c.green}✓${c.reset} Exported ${from} to ${c.bold}${target}${c.reset}`);
+    return true;
+  }
+
   return false;
 }
 
+// ─── Settings (.set timeout 10000) ──────────────────────────────────────────
+
+/**
+ * `.set` lists the settings, `.set <name>` shows one, `.set <name> <value>` changes it.
+ */
+export function handleSetting(ctx, line) {
+  const [, name, value] = line.split(/\s+/);
+  const settings = { timeout: `${ctx.timeout ?? DEFAULT_TIMEOUT}ms` };
+
+  if (!name) {
+    for (const [key, val] of Object.entries(settings)) console.log(`  ${c.cyan}${key}${c.reset} = ${val}`);
+    return;
+  }
+  if (!(name in settings)) throw new Error(`Unknown setting: ${name} (available: ${Object.keys(settings).join(', ')})`);
+  if (value === undefined) {
+    console.log(`  ${c.cyan}${name}${c.reset} = ${settings[name]}`);
+    return;
+  }
+
+  ctx.timeout = parseTimeout(value);
+  ctx.log(`${c.dim}timeout = ${ctx.timeout}ms${c.reset}`);
+}
+
+// ─── Variables (set NAME value) ─────────────────────────────────────────────
+
+export function handleSet(ctx, line) {
+  const match = line.match(/^set(?:\s+(\S+))?(?:\s+(.*))?$/);
+  const [, name, value = ''] = match;
+
+  if (!name) {
+    const entries = Object.entries(ctx.vars);
+    if (entries.length === 0) console.log(`${c.dim}No variables set${c.reset}`);
+    for (const [key, val] of entries) console.log(`  ${c.cyan}${key}${c.reset} = ${val}`);
+    return;
+  }
+  if (!VAR_NAME.test(name)) {
+    console.log(`${c.yellow}Invalid variable name: ${name}${c.reset}`);
+    return;
+  }
+
+  ctx.vars[name] = unquote(value.trim());
+  ctx.log(`${c.dim}${name} = ${ctx.vars[name]}${c.reset}`);
+}
+
 // ─── Process a single line ──────────────────────────────────────────────────
 
-export async function processLine(ctx, line) {
+/**
+ * Run one line of input.
+ * Resolves to an error message when the command failed, otherwise undefined.
+ * With `quiet`, the daemon's response is not printed and assertions don't
+ * wait (used for `if` conditions).
+ */
+export async function processLine(ctx, line, { quiet = false } = {}) {
   line = line.trim();
   if (!line) return;
 
+  // Recordings keep the line as typed, so ${NAME} references survive replay
+  const source = line;
+  // JS code keeps its own template literals: ${x} with no variable x stays as is
+  const first = line.split(/\s+/, 1)[0];
+  const code = ['run-code', 'eval'].includes(ALIASES[first] ?? first);
+  try {
+    line = interpolate(line, ctx.vars, { keepUnset: code });
+  } catch (err) {
+    console.error(`${c.red}Error:${c.reset} ${err.message}`);
+    return err.message;
+  }
+
   // ── Meta-commands ────────────────────────────────────────────────
 
   if (line === '.help' || line === '?') return showHelp();
   if (line === '.aliases') return showAliases();
   if (line === '.status') return showStatus(ctx);
+  if (line === '.snapdiff') return processLine(ctx, 'snapshot --diff', { quiet });
 
   if (line === '.exit' || line === '.quit') {
     ctx.conn.close();
@@ -315,42 +578,73 @@ export async function processLine(ctx, line) {
     return;
   }
 
-  // ── Session commands (record/save/pause/discard) ────────────────
+  // ── Session commands (record/save/pause/discard) and settings ──
 
   if (line.startsWith('.')) {
     try {
       if (handleSessionCommand(ctx, line)) return;
+      if (/^\.set(\s|$)/.test(line)) return handleSetting(ctx, line);
     } catch (err) {
       console.log(`${c.yellow}${err.message}${c.reset}`);
-      return;
+      return err.message;
     }
   }
 
   // ── Inline replay ──────────────────────────────────────────────
 
   if (line.startsWith('.replay')) {
-    const filename = line.split(/\s+/)[1];
+    const args = minimist(line.split(/\s+/).slice(1), { boolean: ['from-failure'], string: ['from', 'to'] });
+    const filename = args._[0];
     if (!filename) {
-      console.log(`${c.yellow}Usage: .replay <filename>${c.reset}`);
-      return;
+      console.log(`${c.yellow}Usage: .replay <filename> [--from <line>] [--to <line>] [--from-failure]${c.reset}`);
+      return 'Usage: .replay <filename>';
     }
     try {
-      const player = ctx.session.startReplay(filename);
-      console.log(`${c.blue}▶${c.reset} Replaying ${c.bold}${filename}${c.reset} (${player.commands.length} commands)\n`);
-      while (!player.done) {
-        const cmd = player.next();
-        console.log(`${c.dim}${player.progress}${c.reset} ${cmd}`);
-        await processLine(ctx, cmd);
+      const range = { from: parseLine('from', args.from), to: parseLine('to', args.to) };
+      if (args['from-failure']) {
+        const failure = lastFailure(ctx, filename);
+        if (failure) {
+          range.from = failure.line;
+          console.log(`${c.dim}Resuming at line ${failure.line} (${failure.command})${c.reset}`);
+        } else {
+          console.log(`${c.dim}No failure recorded for ${filename} — replaying from the top${c.reset}`);
+        }
+      }
+      const { failures } = await playFile(ctx, filename, false, range);
+      if (failures.length > 0) {
+        reportFailures(ctx, failures);
+        return failures[0].error;
       }
-      ctx.session.endReplay();
       console.log(`\n${c.green}✓${c.reset} Replay complete`);
     } catch (err) {
       console.error(`${c.red}Error:${c.reset} ${err.message}`);
-      ctx.session.endReplay();
+      return err.message;
     }
     return;
   }
 
+  // ── Variables ────────────────────────────────────────────────
+
+  if (/^set(\s|$)/.test(line)) {
+    handleSet(ctx, line);
+    ctx.session.record(source);
+    return;
+  }
+
+  // ── Soft assertions (soft verify-text ...) — replay goes on after them
+
+  const soft = /^soft(\s|$)/.test(line);
+  if (soft) line = line.replace(/^soft\s*/, '');
+
+  // ── Output capture (eval "document.title" -> title) ─────────
+
+  let capture = null;
+  const captureMatch = line.match(/\s+->\s*([A-Za-z_][A-Za-z0-9_]*)$/);
+  if (captureMatch) {
+    capture = captureMatch[1];
+    line = line.substring(0, captureMatch.index);
+  }
+
   // ── Regular command — parse and send ─────────────────────────────
 
   let args = parseInput(line);
@@ -358,58 +652,150 @@ export async function processLine(ctx, line) {
 
   const cmdName = args._[0];
   if (!cmdName) return;
+  const positionalArgs = args._.slice(1);
+
+  if (soft && !VERIFY_COMMANDS.includes(cmdName)) {
+    console.log(`${c.yellow}"soft" only applies to verify-* commands${c.reset}`);
+    return '"soft" only applies to verify-* commands';
+  }
+
+  if (CONTROL_KEYWORDS.includes(cmdName)) {
+    console.log(`${c.yellow}"${cmdName}" is only available in .pw files (use .replay at the prompt)${c.reset}`);
+    return `"${cmdName}" is only available in .pw files`;
+  }
 
   // Validate command exists
-  const knownExtras = ['help', 'list', 'close-all', 'kill-all', 'install', 'install-browser',
-                       'verify-text', 'verify-element', 'verify-value', 'verify-list'];
+  const knownExtras = ['help', 'list', 'close-all', 'kill-all', 'install', 'install-browser', ...VERIFY_COMMANDS];
   if (!ALL_COMMANDS.includes(cmdName) && !knownExtras.includes(cmdName)) {
     console.log(`${c.yellow}Unknown command: ${cmdName}${c.reset}`);
     console.log(`${c.dim}Type .help for available commands${c.reset}`);
-    return;
+    return `Unknown command: ${cmdName}`;
   }
 
   // ── Session-level commands (not forwarded to daemon) ──────────
   if (cmdName === 'kill-all') return handleKillAll(ctx);
   if (cmdName === 'close' || cmdName === 'close-all') return handleClose(ctx);
 
+  // ── Baseline assertions — compared here, not by the daemon ──
+  if (BASELINE_ASSERTIONS[cmdName]) {
+    const error = await verifyBaseline(ctx, args, { quiet });
+    if (!error) ctx.session.record(source);
+    return error;
+  }
+
   // ── Verify commands → run-code translation ──────────────────
-  const verifyCommands = ['verify-text', 'verify-element', 'verify-value', 'verify-list'];
-  if (verifyCommands.includes(cmdName)) {
-    const translated = verifyToRunCode(cmdName, args._.slice(1));
+  let diagnosis = null;
+  if (VERIFY_COMMANDS.includes(cmdName)) {
+    let translated;
+    try {
+      const timeout = assertionTimeout(ctx, args, quiet);
+      translated = verifyToRunCode(cmdName, args._.slice(1), { timeout, not: !!args.not });
+      const [target, ...rest] = args._.slice(1);
+      const diagnoseArgs = translated && LOCATOR_ASSERTIONS.includes(cmdName) && diagnoseToRunCode(cmdName, String(target), rest);
+      if (diagnoseArgs) diagnosis = { textArg: String(target), args: diagnoseArgs };
+    } catch (err) {
+      console.error(`${c.red}Error:${c.reset} ${err.message}`);
+      return err.message;
+    }
     if (translated) {
       args = translated;
     } else {
       console.log(`${c.yellow}Usage: ${cmdName} <args>${c.reset}`);
-      return;
+      return `Usage: ${cmdName} <args>`;
     }
   }
 
-  // ── Auto-resolve text to native Playwright locator ─────────
+  if (cmdName === 'mousewheel') {
+    try {
+      args = wheelToRunCode(positionalArgs);
+    } catch (err) {
+      console.error(`${c.red}Error:${c.reset} ${err.message}`);
+      return err.message;
+    }
+  }
+
+  // ── Auto-resolve text (or role=, label=, ...) to a native Playwright locator
   const refCommands = ['click', 'dblclick', 'hover', 'fill', 'select', 'check', 'uncheck'];
-  if (refCommands.includes(cmdName) && args._[1] && !/^e\d+$/.test(args._[1])) {
-    const textArg = args._[1];
+  // press / type / upload name a target when another argument follows; drag when either end isn't a ref
+  const targetCommands = ['press', 'type', 'upload'];
+  const isRef = (arg) => /^e\d+$/.test(arg);
+  const textTarget = refCommands.includes(cmdName) ? args._[1] && !isRef(args._[1])
+    : targetCommands.includes(cmdName) ? positionalArgs.length >= 2
+    : cmdName === 'drag' && positionalArgs.length >= 2 && !(isRef(positionalArgs[0]) && isRef(positionalArgs[1]));
+  if (textTarget) {
+    const textArg = String(args._[1]);
     const extraArgs = args._.slice(2);
-    const runCodeArgs = textToRunCode(cmdName, textArg, extraArgs);
+    // Upload paths in a .pw file are relative to that file
+    const file = ctx.session.player?.step?.file;
+    let runCodeArgs;
+    try {
+      runCodeArgs = textToRunCode(cmdName, textArg, extraArgs, { submit: !!args.submit, baseDir: file ? path.dirname(file) : process.cwd() });
+      const diagnoseArgs = diagnoseToRunCode(cmdName, textArg, extraArgs);
+      if (diagnoseArgs) diagnosis = { textArg, args: diagnoseArgs };
+    } catch (err) {
+      console.error(`${c.red}Error:${c.reset} ${err.message}`);
+      return err.message;
+    }
     if (runCodeArgs) {
       ctx.log(`${c.dim}→ ${runCodeArgs._[1]}${c.reset}`);
       args = runCodeArgs;
     }
   }
 
+  // ── snapshot --diff — shows what changed instead of the whole tree
+  const snapDiff = cmdName === 'snapshot' && !!args.diff;
+  if (snapDiff) delete args.diff;
+
   const startTime = performance.now();
   try {
     const result = await ctx.conn.run(args);
     const elapsed = (performance.now() - startTime).toFixed(0);
-    if (result?.text) {
+    if (result?.text && !quiet && !(snapDiff && !result.isError)) {
       const output = filterResponse(result.text);
       if (output) console.log(output);
     }
     ctx.commandCount++;
-    ctx.session.record(line);
+    if (cmdName === 'snapshot' && !result?.isError) {
+      const tree = snapshotTree(result?.text);
+      if (snapDiff && !quiet) {
+        if (tree === null) console.log(`${c.yellow}The response had no snapshot to compare${c.reset}`);
+        else printSnapshotDiff(ctx.lastSnapshot, tree);
+      }
+      if (tree !== null) ctx.lastSnapshot = tree;
+    }
+    if (capture && !result?.isError) {
+      try {
+        ctx.vars[capture] = captureValue(cmdName, positionalArgs, result?.text);
+        ctx.log(`${c.dim}${capture} = ${ctx.vars[capture]}${c.reset}`);
+      } catch (err) {
+        console.error(`${c.red}Error:${c.reset} Cannot capture ${capture}: ${err.message}`);
+        return `Cannot capture ${capture}: ${err.message}`;
+      }
+    }
+    // Refs change between snapshots, so record the element's locator instead.
+    // Only the daemon's own commands report one: press/type/upload/drag on a
+    // ref run as run-code, so those are recorded as typed.
+    let recorded = source;
+    const targets = refCommands.includes(cmdName) || (targetCommands.includes(cmdName) && positionalArgs.length >= 2)
+      ? positionalArgs.slice(0, 1)
+      : cmdName === 'drag' ? positionalArgs.slice(0, 2) : [];
+    const refs = targets.map(String).filter(isRef);
+    if (ctx.session.mode === 'recording' && refs.length > 0 && !result?.isError) {
+      recorded = refCommands.includes(cmdName) && stableRefLine(source, cmdName, result?.text);
+      if (!recorded) {
+        recorded = source;
+        console.log(`${c.yellow}Recorded ${refs.join(' and ')} as typed — it may not replay once the page changes${c.reset}`);
+      }
+    }
+    ctx.session.record(recorded);
 
     if (elapsed > 500) {
       ctx.log(`${c.dim}(${elapsed}ms)${c.reset}`);
     }
+    if (result?.isError) {
+      if (diagnosis && !quiet) await explainTextFailure(ctx, cmdName, diagnosis);
+      return responseSection(result.text, 'Error') || `${cmdName} failed`;
+    }
   } catch (err) {
     console.error(`${c.red}Error:${c.reset} ${err.message}`);
     if (!ctx.conn.connected) {
@@ -421,39 +807,499 @@ export async function processLine(ctx, line) {
         console.error(`${c.red}✗${c.reset} Could not reconnect. Use .reconnect or restart.`);
       }
     }
+    return err.message;
   }
 }
 
-// ─── Replay mode (non-interactive, --replay flag) ───────────────────────────
+/**
+ * Run-code that returns a base64 PNG of the page, or of the target element.
+ */
+export function screenshotToRunCode(target, extraArgs = [], { fullPage = false } = {}) {
+  const options = `{ animations: 'disabled', caret: 'hide'${fullPage ? ', fullPage: true' : ''} }`;
+  if (target === undefined) return { _: ['run-code', `async (page) => (await page.screenshot(${options})).toString('base64')`] };
+  const { lines, loc } = locateTarget('verify-screenshot', String(target), extraArgs);
+  return { _: ['run-code', `async (page) => {\n${lines.join('\n')}\n  return (await ${loc}.screenshot(${options})).toString('base64');\n}`] };
+}
+
+/**
+ * Run-code that returns the ARIA snapshot (YAML) of the page, or of the target element.
+ */
+export function ariaSnapshotToRunCode(target, extraArgs = []) {
+  if (target === undefined) return { _: ['run-code', `async (page) => await page.locator('body').ariaSnapshot()`] };
+  const { lines, loc } = locateTarget('verify-snapshot', String(target), extraArgs);
+  return { _: ['run-code', `async (page) => {\n${lines.join('\n')}\n  return await ${loc}.ariaSnapshot();\n}`] };
+}
+
+// verify-* commands checked against a file next to the .pw file: how to
+// capture, where the baseline lives, and how to compare (with its options)
+const BASELINE_ASSERTIONS = {
+  'verify-screenshot': {
+    capture: (target, rest, args) => screenshotToRunCode(target, rest, { fullPage: !!args.fullPage }),
+    baseline: baselinePath,
+    options: compareOptions,
+    compare: (result, file, options) => compareScreenshot(Buffer.from(result, 'base64'), file, options),
+  },
+  'verify-snapshot': {
+    capture: (target, rest) => ariaSnapshotToRunCode(target, rest),
+    baseline: snapshotPath,
+    options: () => ({}),
+    compare: compareSnapshot,
+  },
+};
+
+/**
+ * verify-screenshot / verify-snapshot <name> [target] — capture through
+ * run-code and compare with the baseline next to the .pw file being replayed
+ * (or in the working directory), retrying while it differs.
+ * Resolves to an error message on failure.
+ */
+async function verifyBaseline(ctx, args, { quiet }) {
+  const [cmdName, name, target, ...rest] = args._;
+  const { capture, baseline, options, compare } = BASELINE_ASSERTIONS[cmdName];
+  let runCodeArgs, compareWith, timeout;
+  try {
+    if (!name) throw new Error(`Usage: ${cmdName} <name> [target]`);
+    if (args.not) throw new Error(`${cmdName} does not support --not`);
+    runCodeArgs = capture(target, rest, args);
+    compareWith = { ...options(args), update: !!ctx.updateSnapshots };
+    timeout = assertionTimeout(ctx, args, quiet);
+  } catch (err) {
+    console.log(`${c.yellow}${err.message}${c.reset}`);
+    return err.message;
+  }
+  const file = ctx.session.player?.step?.file;
+  const baselineFile = baseline(String(name), file ? path.dirname(file) : process.cwd());
+
+  const deadline = Date.now() + timeout;
+  try {
+    for (;;) {
+      const result = await ctx.conn.run(runCodeArgs);
+      if (result?.isError) {
+        const output = quiet ? null : filterResponse(result.text);
+        if (output) console.log(output);
+        return responseSection(result.text, 'Error') || `${cmdName} failed`;
+      }
+      const { status, message } = compare(JSON.parse(responseSection(result.text, 'Result')), baselineFile, compareWith);
+      if (status === 'failed' && Date.now() < deadline) {
+        await new Promise(r => setTimeout(r, RETRY_INTERVAL));
+        continue;
+      }
+      ctx.commandCount++;
+      if (status === 'passed' || status === 'updated') {
+        ctx.log(`${c.green}✓${c.reset} ${message}`);
+        return;
+      }
+      if (!quiet) console.log(`${c.red}✗${c.reset} ${colorDiff(message)}`);
+      return message;
+    }
+  } catch (err) {
+    console.error(`${c.red}Error:${c.reset} ${err.message}`);
+    return err.message;
+  }
+}
 
-export async function runReplayMode(ctx, replayFile, step) {
+/**
+ * Colour the +/- lines of a unified diff.
+ */
+export function colorDiff(text) {
+  return text.split('\n').map(line => {
+    if (/^(\+\+\+|---) /.test(line)) return `${c.bold}${line}${c.reset}`;
+    if (line.startsWith('@@')) return `${c.cyan}${line}${c.reset}`;
+    if (line.startsWith('+')) return `${c.green}${line}${c.reset}`;
+    if (line.startsWith('-')) return `${c.red}${line}${c.reset}`;
+    return line;
+  }).join('\n');
+}
+
+/**
+ * After a text command fails, show what each of its locator strategies matched.
+ */
+async function explainTextFailure(ctx, cmdName, diagnosis) {
   try {
-    const player = ctx.session.startReplay(replayFile, step);
-    console.log(`${c.blue}▶${c.reset} Replaying ${c.bold}${replayFile}${c.reset} (${player.commands.length} commands)\n`);
-    while (!player.done) {
-      const cmd = player.next();
+    const result = await ctx.conn.run(diagnosis.args);
+    if (result?.isError) return;
+    const report = JSON.parse(responseSection(result.text, 'Result'));
+    for (const line of formatDiagnosis(cmdName, diagnosis.textArg, report)) console.log(line);
+  } catch {
+    // Best effort — the command's own error has already been printed
+  }
+}
+
+// ─── Snapshot diff (snapshot --diff, .snapdiff) ─────────────────────────────
+
+/**
+ * The accessibility tree a `snapshot` response carries, or null.
+ * The daemon puts it in the Snapshot section, either inline as YAML or as a
+ * link to the file it wrote.
+ */
+export function snapshotTree(text) {
+  const section = responseSection(text, 'Snapshot') ?? responseSection(text, 'Result');
+  if (!section) return null;
+  const link = section.match(/^- \[Snapshot\]\((.+)\)$/);
+  if (link) {
+    const file = path.resolve(link[1]);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').trim() : null;
+  }
+  return section.replace(/^```ya?ml\n/, '').replace(/\n?```$/, '').trim();
+}
+
+/**
+ * Print the nodes added, removed or changed since the previous snapshot.
+ */
+function printSnapshotDiff(previous, current) {
+  if (previous == null) {
+    console.log(`${c.dim}No earlier snapshot in this session — the next snapshot --diff compares against this one${c.reset}`);
+    return;
+  }
+  const diff = unifiedDiff(stripRefs(previous), stripRefs(current), { from: 'previous snapshot', to: 'current', context: 0 });
+  console.log(diff ? colorDiff(diff) : `${c.dim}No changes since the last snapshot${c.reset}`);
+}
+
+// ─── Debugger (--debug, --break-at, breakpoint) ─────────────────────────────
+
+/**
+ * Parse --break-at values ("12", "login.pw:12", comma-separated or repeated)
+ * into [{ file?, line }]. A bare line number refers to the replayed file.
+ */
+export function parseBreakpoints(values = []) {
+  return [values].flat().flatMap(value => String(value).split(',')).filter(Boolean).map(spec => {
+    const match = spec.trim().match(/^(?:(.+):)?(\d+)$/);
+    if (!match || Number(match[2]) < 1) throw new Error(`Invalid --break-at: ${spec} (expected a line number or file:line)`);
+    return match[1] ? { file: path.resolve(match[1]), line: Number(match[2]) } : { line: Number(match[2]) };
+  });
+}
+
+/**
+ * Debugger settings for replays: { breakpoints, stopAtStart, stepping }, or
+ * null when neither --debug nor --break-at was given. --debug alone stops
+ * before the first command; with --break-at a replay runs to a breakpoint.
+ */
+export function createDebugger({ debug = false, breakAt } = {}) {
+  const breakpoints = parseBreakpoints(breakAt);
+  if (!debug && breakpoints.length === 0) return null;
+  return { breakpoints, stopAtStart: breakpoints.length === 0, stepping: false };
+}
+
+const DEBUGGER_HELP = [
+  'n, Enter   run this command and stop at the next',
+  'c          continue to the next breakpoint',
+  'skip       skip this command (an if condition counts as false)',
+  'q          stop the replay',
+  '<command>  run any REPL command, e.g. snapshot — the replay stays here',
+];
+
+function atBreakpoint(debug, player) {
+  const { file, line } = player.step;
+  return player.breakpoint !== null || debug.breakpoints.some(bp =>
+    bp.line === line && (bp.file ? bp.file === path.resolve(file) : file === player.filename));
+}
+
+/**
+ * Stop before the player's current command when stepping or at a
+ * breakpoint, and take debugger commands until the replay may go on.
+ * Resolves to 'run', 'skip' or 'quit'.
+ */
+async function debugPause(ctx, player, cmd) {
+  const debug = ctx.debug;
+  if (!debug.stepping && !atBreakpoint(debug, player)) return 'run';
+
+  const { file, line } = player.step;
+  console.log(`${c.yellow}⏸${c.reset} ${c.dim}${formatLocation(file, line)}${c.reset}  ${cmd}  ${c.dim}(n, c, skip, q, ? for help)${c.reset}`);
+  while (true) {
+    const input = (await new Promise(resolve => ctx.rl.question(`${c.yellow}debug>${c.reset} `, resolve))).trim();
+    switch (input) {
+      case '':
+      case 'n':
+      case 'next':
+        debug.stepping = true;
+        return 'run';
+      case 'c':
+      case 'continue':
+        debug.stepping = false;
+        return 'run';
+      case 'skip':
+        debug.stepping = true;
+        return 'skip';
+      case 'q':
+      case 'quit':
+        return 'quit';
+      case '?':
+        for (const text of DEBUGGER_HELP) console.log(`  ${c.dim}${text}${c.reset}`);
+        break;
+      default:
+        await processLine(ctx, input);
+    }
+  }
+}
+
+// ─── Playing a .pw program ──────────────────────────────────────────────────
+
+/**
+ * Feed a player's commands through processLine, reporting `if` outcomes
+ * back so the player can branch. Pauses between commands in step mode,
+ * and hands control to the debugger when ctx.debug is set.
+ *
+ * Stops at the first failing command unless ctx.continueOnError is set;
+ * failed `soft` assertions never stop it and are marked soft.
+ * Returns the failures: [{ file, line, command, error, soft? }]
+ */
+export async function playCommands(ctx, player) {
+  const failures = [];
+  for (let cmd = player.next(); cmd !== null; cmd = player.next()) {
+    const { file, line } = player.step;
+    if (ctx.debug) {
+      const action = await debugPause(ctx, player, cmd);
+      if (action === 'quit') {
+        failures.push({ file, line, command: cmd, error: 'Replay stopped in the debugger' });
+        break;
+      }
+      if (action === 'skip') {
+        player.branch(false);
+        console.log(`${c.dim}${player.progress}${c.reset} ${c.dim}skipped: ${cmd}${c.reset}`);
+        continue;
+      }
+    }
+    if (player.step.op === 'if') {
+      console.log(`${c.dim}${player.progress}${c.reset} if ${cmd}`);
+      const error = await processLine(ctx, cmd, { quiet: true });
+      player.branch(!error);
+      ctx.log(`${c.dim}  → ${error ? 'false' : 'true'}${c.reset}`);
+    } else {
       console.log(`${c.dim}${player.progress}${c.reset} ${cmd}`);
-      await processLine(ctx, cmd);
-
-      if (ctx.session.step && !player.done) {
-        await new Promise((resolve) => {
-          process.stdout.write(`${c.dim}  Press Enter to continue...${c.reset}`);
-          process.stdin.once('data', () => {
-            process.stdout.write('\r\x1b[K');
-            resolve();
-          });
-        });
+      const error = await processLine(ctx, cmd);
+      if (error) {
+        const soft = /^soft\s/.test(cmd);
+        failures.push(soft ? { file, line, command: cmd, error, soft } : { file, line, command: cmd, error });
+        console.error(`${c.red}✗${c.reset} ${c.dim}at ${formatLocation(file, line)}${soft ? ' (soft, continuing)' : ''}${c.reset}`);
+        if (!soft && !ctx.continueOnError) break;
       }
     }
+
+    if (ctx.session.step && !ctx.debug && !player.done) {
+      await new Promise((resolve) => {
+        process.stdout.write(`${c.dim}  Press Enter to continue...${c.reset}`);
+        process.stdin.once('data', () => {
+          process.stdout.write('\r\x1b[K');
+          resolve();
+        });
+      });
+    }
+  }
+  return failures;
+}
+
+/**
+ * Print a summary of failed commands after a replay.
+ */
+export function reportFailures(ctx, failures) {
+  const hard = failures.filter(f => !f.soft);
+  const soft = failures.filter(f => f.soft);
+  if (hard.length > 0 && !ctx.continueOnError) {
+    const stop = hard[hard.length - 1];
+    console.error(`\n${c.red}✗${c.reset} Stopped at ${c.bold}${formatLocation(stop.file, stop.line)}${c.reset}`);
+  } else if (hard.length > 0) {
+    console.error(`\n${c.red}✗${c.reset} Finished with ${hard.length} failed command${hard.length === 1 ? '' : 's'}:`);
+  }
+  printFailures(hard);
+  if (soft.length > 0) {
+    console.error(`\n${c.red}✗${c.reset} ${soft.length} soft assertion${soft.length === 1 ? '' : 's'} failed:`);
+    printFailures(soft);
+  }
+}
+
+function printFailures(failures) {
+  for (const { file, line, command, error } of failures) {
+    console.error(`  ${formatLocation(file, line)}  ${command}`);
+    console.error(`    ${c.red}${error.split('\n').join('\n    ')}${c.reset}`);
+  }
+}
+
+// ─── Traces and videos (--trace / --video on|retain-on-failure) ─────────────
+
+export const ARTIFACT_MODES = ['on', 'retain-on-failure'];
+
+/**
+ * Validate a --trace / --video value. A bare flag means `on`; throws on
+ * anything else but ARTIFACT_MODES.
+ */
+export function parseArtifactMode(flag, value) {
+  if (value === undefined) return undefined;
+  if (value === '' || value === true) return 'on';
+  if (!ARTIFACT_MODES.includes(value)) throw new Error(`Invalid --${flag}: ${value} (expected ${ARTIFACT_MODES.join(' or ')})`);
+  return value;
+}
+
+/**
+ * Where a replay artifact of a .pw file goes: <name><ext> next to it.
+ */
+export function artifactPath(filename, ext) {
+  return path.resolve(path.dirname(filename), `${path.basename(filename, '.pw')}${ext}`);
+}
+
+/**
+ * Start tracing the browser context. Resolves to false (after a warning)
+ * when the daemon couldn't — the replay goes on without a trace.
+ */
+async function startTracing(ctx, filename) {
+  const options = `{ title: ${JSON.stringify(path.basename(filename))}, screenshots: true, snapshots: true }`;
+  return artifactCall(ctx, { _: ['run-code', `async (page) => { await page.context().tracing.start(${options}); }`] }, 'start tracing');
+}
+
+/**
+ * Stop tracing, saving the trace when the mode keeps it.
+ * Resolves to the trace file, or undefined.
+ */
+async function stopTracing(ctx, filename, passed) {
+  if (ctx.trace === 'retain-on-failure' && passed) {
+    await artifactCall(ctx, { _: ['run-code', 'async (page) => { await page.context().tracing.stop(); }'] }, 'stop tracing');
+    return;
+  }
+  const file = artifactPath(filename, '.trace.zip');
+  const code = `async (page) => { await page.context().tracing.stop({ path: ${JSON.stringify(file)} }); }`;
+  if (!await artifactCall(ctx, { _: ['run-code', code] }, 'save the trace')) return;
+  const shown = formatLocation(file);
+  console.log(`${c.dim}Trace saved to ${shown} — open it with: npx playwright show-trace ${shown}${c.reset}`);
+  return file;
+}
+
+/**
+ * Stop the video and save it as <name>.webm (<name>-1.webm, ... for extra
+ * pages). A passing replay's videos are deleted in retain-on-failure mode.
+ * Resolves to the video file, or undefined.
+ */
+async function stopVideo(ctx, filename, passed) {
+  const file = artifactPath(filename, '.webm');
+  if (!await artifactCall(ctx, { _: ['video-stop'], filename: file }, 'save the video')) return;
+  if (ctx.video === 'retain-on-failure' && passed) {
+    const stem = path.basename(file, '.webm');
+    for (const name of fs.readdirSync(path.dirname(file))) {
+      if (name.startsWith(stem) && /^(-\d+)?\.webm$/.test(name.slice(stem.length))) fs.rmSync(path.join(path.dirname(file), name));
+    }
+    return;
+  }
+  if (!fs.existsSync(file)) {
+    console.log(`${c.yellow}No video was recorded${c.reset}`);
+    return;
+  }
+  console.log(`${c.dim}Video saved to ${formatLocation(file)}${c.reset}`);
+  return file;
+}
+
+async function artifactCall(ctx, args, action) {
+  try {
+    const result = await ctx.conn.run(args);
+    if (!result?.isError) return true;
+    console.log(`${c.yellow}Could not ${action}: ${responseSection(result.text, 'Error') || 'unknown error'}${c.reset}`);
+  } catch (err) {
+    console.log(`${c.yellow}Could not ${action}: ${err.message}${c.reset}`);
+  }
+  return false;
+}
+
+// ─── Resuming (--from, --to, .replay --from-failure) ────────────────────────
+
+/**
+ * Parse a --from / --to value: a line number of the replayed file.
+ */
+export function parseLine(flag, value) {
+  if (value === undefined) return undefined;
+  const line = Number(value);
+  if (!Number.isInteger(line) || line < 1) throw new Error(`Invalid --${flag}: ${value} (expected a line number)`);
+  return line;
+}
+
+function readFailures(ctx) {
+  if (!ctx.failuresFile) return {};
+  try {
+    return JSON.parse(fs.readFileSync(ctx.failuresFile, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Where `filename` failed the last time it was replayed: { line, command, at },
+ * or undefined. `line` is in the replayed file (the include, for included steps).
+ */
+export function lastFailure(ctx, filename) {
+  return readFailures(ctx)[path.resolve(filename)];
+}
+
+// Store the first failure of a replay (hard failures before soft ones), or
+// forget the stored one once the range that covers it passes.
+function rememberFailure(ctx, player, failures, { from, to }) {
+  if (!ctx.failuresFile) return;
+  const all = readFailures(ctx);
+  const key = path.resolve(player.filename);
+  const failure = failures.find(f => !f.soft) ?? failures[0];
+  if (failure) {
+    const step = player.program.find(s => s.file === failure.file && s.line === failure.line);
+    all[key] = { line: step ? SessionPlayer.lineOf(step) : failure.line, command: failure.command, at: new Date().toISOString() };
+  } else {
+    const stored = all[key];
+    if (!stored || stored.line < (from ?? 1) || stored.line > (to ?? Infinity)) return;
+    delete all[key];
+  }
+  try {
+    fs.mkdirSync(path.dirname(ctx.failuresFile), { recursive: true });
+    fs.writeFileSync(ctx.failuresFile, JSON.stringify(all, null, 2) + '\n');
+  } catch {}
+}
+
+// ─── Replay mode (non-interactive, --replay flag) ───────────────────────────
+
+/**
+ * Replay one .pw file without exiting. Throws if the file can't be loaded;
+ * a step that can't run (an unset loop count, ...) is a failure.
+ * With ctx.trace / ctx.video, the replay is traced / filmed (see ARTIFACT_MODES).
+ * Returns { file, passed, failures, duration, trace?, video? }.
+ */
+export async function playFile(ctx, filename, step = false, { from, to } = {}) {
+  const start = Date.now();
+  const player = ctx.session.startReplay(filename, step, { vars: ctx.vars, from, to });
+  if (ctx.debug) ctx.debug.stepping = ctx.debug.stopAtStart;
+  console.log(`${c.blue}▶${c.reset} Replaying ${c.bold}${filename}${c.reset} (${player.commands.length} commands)\n`);
+  const traced = ctx.trace && await startTracing(ctx, filename);
+  const filmed = ctx.video && await artifactCall(ctx, { _: ['video-start'] }, 'start the video');
+  let failures;
+  try {
+    failures = await playCommands(ctx, player);
+  } catch (err) {
+    // A step the player itself couldn't run (e.g. `repeat ${N}` with N unset):
+    // fail the replay there, so the trace and video still get stopped
+    const { file, line, text } = player.program[player.index - 1] ?? {};
+    failures = [{ file: file ?? filename, line, command: text, error: err.message }];
+    console.error(`${c.red}Error:${c.reset} ${err.message}`);
+    if (line !== undefined) console.error(`${c.red}✗${c.reset} ${c.dim}at ${formatLocation(file, line)}${c.reset}`);
+  } finally {
     ctx.session.endReplay();
-    console.log(`\n${c.green}✓${c.reset} Replay complete`);
-    ctx.conn.close();
-    process.exit(0);
+  }
+  const passed = failures.length === 0;
+  rememberFailure(ctx, player, failures, { from, to });
+  const trace = traced ? await stopTracing(ctx, filename, passed) : undefined;
+  const video = filmed ? await stopVideo(ctx, filename, passed) : undefined;
+  return { file: filename, passed, failures, duration: Date.now() - start, ...(trace ? { trace } : {}), ...(video ? { video } : {}) };
+}
+
+export async function runReplayMode(ctx, replayFile, step, range = {}) {
+  const startTime = new Date();
+  let result;
+  try {
+    result = await playFile(ctx, replayFile, step, range);
+    if (result.passed) console.log(`\n${c.green}✓${c.reset} Replay complete`);
+    else reportFailures(ctx, result.failures);
   } catch (err) {
     console.error(`${c.red}Error:${c.reset} ${err.message}`);
-    ctx.conn.close();
-    process.exit(1);
+    result = { file: replayFile, passed: false, failures: [], error: err.message, duration: Date.now() - startTime };
   }
+  try {
+    writeReports(ctx.reporters, [result], { duration: result.duration, timestamp: startTime });
+  } catch (err) {
+    console.error(`${c.red}Error:${c.reset} Cannot write report: ${err.message}`);
+    result.passed = false;
+  }
+  ctx.conn.close();
+  process.exit(result.passed ? 0 : 1);
 }
 
 // ─── Command loop (interactive) ─────────────────────────────────────────────
@@ -461,13 +1307,27 @@ export async function runReplayMode(ctx, replayFile, step) {
 export function startCommandLoop(ctx) {
   let processing = false;
   const commandQueue = [];
+  // Piped input (CI) behaves like a replay: fail fast, exit non-zero
+  const failures = [];
+  let lineNumber = 0;
 
   async function processQueue() {
     if (processing) return;
     processing = true;
     while (commandQueue.length > 0) {
-      const line = commandQueue.shift();
-      await processLine(ctx, line);
+      const { line, number } = commandQueue.shift();
+      // Piped .pw files start with a # header; skip comments like SessionPlayer does
+      if (ctx.piped && (!line.trim() || line.trim().startsWith('#'))) continue;
+      const error = await processLine(ctx, line);
+      if (error && ctx.piped) {
+        failures.push({ file: '<stdin>', line: number, command: line.trim(), error });
+        if (!ctx.continueOnError) {
+          reportFailures(ctx, failures);
+          ctx.conn.close();
+          process.exit(1);
+          return;
+        }
+      }
       if (line.trim()) {
         try {
           fs.mkdirSync(path.dirname(ctx.historyFile), { recursive: true });
@@ -482,7 +1342,7 @@ export function startCommandLoop(ctx) {
   ctx.rl.prompt();
 
   ctx.rl.on('line', (line) => {
-    commandQueue.push(line);
+    commandQueue.push({ line, number: ++lineNumber });
     processQueue();
   });
 
@@ -490,6 +1350,12 @@ export function startCommandLoop(ctx) {
     while (processing || commandQueue.length > 0) {
       await new Promise(r => setTimeout(r, 50));
     }
+    if (failures.length > 0) {
+      reportFailures(ctx, failures);
+      ctx.conn.close();
+      process.exit(1);
+      return;
+    }
     ctx.log(`\n${c.dim}Disconnecting... (daemon stays running)${c.reset}`);
     ctx.conn.close();
     process.exit(0);
@@ -524,9 +1390,9 @@ export function completer(line) {
   const parts = line.split(/\s+/);
   if (parts.length <= 1) {
     const prefix = parts[0] || '';
-    const allNames = [...ALL_COMMANDS, ...Object.keys(ALIASES)];
+    const allNames = [...ALL_COMMANDS, ...Object.keys(ALIASES), 'set'];
     const metas = ['.help', '.aliases', '.status', '.reconnect', '.exit',
-                   '.record', '.save', '.replay', '.pause', '.discard'];
+                   '.record', '.save', '.replay', '.pause', '.discard', '.export', '.set', '.snapdiff'];
     const hits = [...allNames, ...metas].filter(n => n.startsWith(prefix));
     return [hits.length ? hits : allNames, prefix];
   }
@@ -572,7 +1438,19 @@ export async function startRepl(opts = {}) {
 
   const session = new SessionManager();
   const historyFile = path.join(daemonProfilesDir, '.repl-history');
-  const ctx = { conn, session, rl: null, sessionName, log, historyFile, commandCount: 0 };
+  const failuresFile = path.join(daemonProfilesDir, '.replay-failures.json');
+  const vars = { ...opts.vars };
+  const ctx = {
+    conn, session, rl: null, sessionName, log, historyFile, failuresFile, vars, commandCount: 0,
+    continueOnError: opts.continueOnError || false,
+    timeout: opts.timeout,
+    updateSnapshots: opts.updateSnapshots || false,
+    trace: opts.trace,
+    video: opts.video,
+    debug: opts.debug || null,
+    reporters: opts.reporters || [],
+    piped: !process.stdin.isTTY,
+  };
 
   // Auto-start recording if --record was passed
   if (opts.record) {
@@ -597,7 +1475,7 @@ export async function startRepl(opts = {}) {
   // ─── Start ───────────────────────────────────────────────────────
 
   if (opts.replay) {
-    await runReplayMode(ctx, opts.replay, opts.step);
+    await runReplayMode(ctx, opts.replay, opts.step, { from: opts.from, to: opts.to });
   } else {
     startCommandLoop(ctx);
   }
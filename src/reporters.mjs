@@ -0,0 +1,135 @@
+/**
+ * Reporters — machine-readable replay results for CI.
+ *
+ *   --reporter junit:out.xml,json:out.json
+ *
+ * Each .pw file is one testcase; each failing command is one <failure>
+ * carrying its file:line (the included file, for include/call steps), the
+ * command text and the daemon's ### Error.
+ *
+ * Results come from playFile / runTests:
+ *   [{ file, passed, failures: [{ file, line, command, error, soft? }], error?, duration, trace?, video? }]
+ *
+ * Saved traces and videos (--trace, --video) are attached to the testcase
+ * as [[ATTACHMENT|file]].
+ */
+
+import path from 'node:path';
+import fs from 'node:fs';
+import { c } from './colors.mjs';
+import { formatLocation } from './utils.mjs';
+
+const REPORTERS = ['junit', 'json'];
+
+// ─── Option parsing ─────────────────────────────────────────────────────────
+
+/**
+ * Parse "junit:out.xml,json:out.json" into [{ type, file }].
+ * Repeated --reporter flags are merged.
+ */
+export function parseReporters(spec) {
+  const reporters = [];
+  for (const item of [].concat(spec ?? []).flatMap(s => String(s).split(','))) {
+    if (!item.trim()) continue;
+    const colon = item.indexOf(':');
+    const type = (colon === -1 ? item : item.substring(0, colon)).trim();
+    const file = colon === -1 ? '' : item.substring(colon + 1).trim();
+    if (!REPORTERS.includes(type))
+      throw new Error(`Unknown reporter "${type}" (available: ${REPORTERS.join(', ')})`);
+    if (!file) throw new Error(`Missing output file for reporter "${type}" (expected ${type}:<file>)`);
+    reporters.push({ type, file });
+  }
+  return reporters;
+}
+
+// ─── JUnit XML ──────────────────────────────────────────────────────────────
+
+export function escapeXml(text) {
+  return String(text)
+    // Characters that are not allowed anywhere in XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Reports use '/' on every platform
+function relative(file) {
+  return formatLocation(file).split(path.sep).join('/');
+}
+
+function seconds(ms) {
+  return (ms / 1000).toFixed(3);
+}
+
+export function junitReport(results, { duration = 0, timestamp = new Date() } = {}) {
+  const failures = results.filter(r => r.failures.length > 0).length;
+  const errors = results.filter(r => r.error).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="playwright-repl" tests="${results.length}" failures="${failures}" errors="${errors}" time="${seconds(duration)}">`,
+    `  <testsuite name="playwright-repl" tests="${results.length}" failures="${failures}" errors="${errors}" skipped="0" time="${seconds(duration)}" timestamp="${timestamp.toISOString()}">`,
+  ];
+  for (const result of results) {
+    const file = relative(result.file);
+    const attrs = `name="${escapeXml(path.basename(file))}" classname="${escapeXml(file)}" file="${escapeXml(file)}" time="${seconds(result.duration)}"`;
+    const attachments = [result.trace, result.video].filter(Boolean).map(f => `[[ATTACHMENT|${escapeXml(relative(f))}]]`);
+    if (result.passed && attachments.length === 0) {
+      lines.push(`    <testcase ${attrs}/>`);
+      continue;
+    }
+    lines.push(`    <testcase ${attrs}>`);
+    if (result.error)
+      lines.push(`      <error message="${escapeXml(result.error)}" type="LoadError">${escapeXml(result.error)}</error>`);
+    for (const failure of result.failures) {
+      const { line, command, error, soft } = failure;
+      const location = `${relative(failure.file)}:${line}`;
+      const firstLine = error.split('\n')[0];
+      const body = `${location}\n${command}\n\n${error}`;
+      const type = soft ? 'SoftAssertionFailed' : 'CommandFailed';
+      lines.push(`      <failure message="${escapeXml(location)}: ${escapeXml(command)} — ${escapeXml(firstLine)}" type="${type}">${escapeXml(body)}</failure>`);
+    }
+    if (attachments.length > 0) lines.push(`      <system-out>${attachments.join('\n')}</system-out>`);
+    lines.push('    </testcase>');
+  }
+  lines.push('  </testsuite>', '</testsuites>', '');
+  return lines.join('\n');
+}
+
+// ─── JSON ───────────────────────────────────────────────────────────────────
+
+export function jsonReport(results, { duration = 0, timestamp = new Date() } = {}) {
+  const passed = results.filter(r => r.passed).length;
+  return {
+    startTime: timestamp.toISOString(),
+    duration,
+    stats: { files: results.length, passed, failed: results.length - passed },
+    files: results.map(r => ({
+      file: relative(r.file),
+      passed: r.passed,
+      duration: r.duration,
+      ...(r.error ? { error: r.error } : {}),
+      failures: r.failures.map(({ file, line, command, error, soft }) => ({ file: relative(file), line, command, error, ...(soft ? { soft } : {}) })),
+      ...(r.trace ? { trace: relative(r.trace) } : {}),
+      ...(r.video ? { video: relative(r.video) } : {}),
+    })),
+  };
+}
+
+// ─── Writing ────────────────────────────────────────────────────────────────
+
+/**
+ * Write every configured report. `options` is passed to the formatters.
+ */
+export function writeReports(reporters = [], results, options = {}) {
+  for (const { type, file } of reporters) {
+    const content = type === 'junit'
+      ? junitReport(results, options)
+      : JSON.stringify(jsonReport(results, options), null, 2) + '\n';
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content, 'utf-8');
+    console.log(`${c.dim}${type} report written to ${file}${c.reset}`);
+  }
+}
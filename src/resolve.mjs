@@ -20,6 +20,20 @@ export const replVersion = pkg.version;
 // Must match what daemon-launcher.cjs computes via require.resolve('../package.json')
 export const packageLocation = fileURLToPath(pkgUrl);
 
+// ─── Playwright internals ────────────────────────────────────────────────────
+
+const playwrightCoreModules = {};
+
+/**
+ * A playwright-core internal — 'utils' (the image comparator behind
+ * toHaveScreenshot()) or 'utilsBundle' (jsdiff) — resolved through playwright
+ * so it matches the installed version. Loaded on first use.
+ */
+export function playwrightCore(module) {
+  playwrightCoreModules[module] ??= createRequire(require.resolve('playwright/package.json'))(`playwright-core/lib/${module}`);
+  return playwrightCoreModules[module];
+}
+
 // ─── Command vocabulary ──────────────────────────────────────────────────────
 
 export const COMMANDS = {
@@ -40,12 +54,22 @@ export const COMMANDS = {
   'uncheck':           { desc: 'Uncheck a checkbox', options: [] },
   'upload':            { desc: 'Upload a file', options: [] },
   'drag':              { desc: 'Drag and drop', options: [] },
-  'snapshot':          { desc: 'Accessibility snapshot', options: ['--filename'] },
+  'keydown':           { desc: 'Hold a key down', options: [] },
+  'keyup':             { desc: 'Release a held key', options: [] },
+  'mousemove':         { desc: 'Move the mouse to x y', options: [] },
+  'mousedown':         { desc: 'Press a mouse button', options: [] },
+  'mouseup':           { desc: 'Release a mouse button', options: [] },
+  'mousewheel':        { desc: 'Scroll by dx dy', options: [] },
+  'snapshot':          { desc: 'Accessibility snapshot', options: ['--filename', '--diff'] },
   'screenshot':        { desc: 'Take a screenshot', options: ['--filename', '--fullPage'] },
   'eval':              { desc: 'Evaluate JavaScript', options: [] },
   'console':           { desc: 'Console messages', options: ['--clear'] },
   'network':           { desc: 'Network requests', options: ['--clear', '--includeStatic'] },
   'run-code':          { desc: 'Run Playwright code', options: [] },
+  'tracing-start':     { desc: 'Start trace recording', options: [] },
+  'tracing-stop':      { desc: 'Stop trace recording', options: [] },
+  'video-start':       { desc: 'Start video recording', options: [] },
+  'video-stop':        { desc: 'Stop video recording', options: ['--filename'] },
   'tab-list':          { desc: 'List tabs', options: [] },
   'tab-new':           { desc: 'New tab', options: [] },
   'tab-close':         { desc: 'Close tab', options: [] },
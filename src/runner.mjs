@@ -0,0 +1,158 @@
+/**
+ * Test runner — replay many .pw files with a pass/fail summary.
+ *
+ *   playwright-repl test tests/             → every .pw file under tests/
+ *   playwright-repl test "tests/**\/*.pw"    → glob (quote it, so the shell doesn't expand it)
+ *
+ * Each file gets a fresh browser: the daemon is re-opened before every file,
+ * so cookies, storage and open tabs never leak from one file into the next.
+ * Runs use their own session (TEST_SESSION unless --session is given), so an
+ * interactive REPL on the default session is left alone.
+ */
+
+import path from 'node:path';
+import fs from 'node:fs';
+import { replVersion } from './resolve.mjs';
+import { DaemonConnection } from './connection.mjs';
+import { socketPath, startDaemon, waitForDaemon } from './workspace.mjs';
+import { SessionManager } from './recorder.mjs';
+import { playFile } from './repl.mjs';
+import { writeReports } from './reporters.mjs';
+import { globToRegExp, formatLocation } from './utils.mjs';
+import { c } from './colors.mjs';
+
+// ─── File discovery ─────────────────────────────────────────────────────────
+
+function walk(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...walk(full));
+    else files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Resolve test patterns to a sorted, de-duplicated list of .pw files.
+ * A pattern may be a file, a directory (all .pw files below it) or a glob.
+ */
+export function findTestFiles(patterns, cwd = process.cwd()) {
+  const found = new Set();
+  for (const pattern of patterns) {
+    const full = path.resolve(cwd, pattern);
+    if (!/[*?{]/.test(pattern)) {
+      if (!fs.existsSync(full)) throw new Error(`No such file or directory: ${pattern}`);
+      if (fs.statSync(full).isDirectory()) {
+        for (const file of walk(full)) if (file.endsWith('.pw')) found.add(file);
+      } else {
+        found.add(full);
+      }
+      continue;
+    }
+    // Walk from the non-glob prefix, match the rest
+    const normalized = full.split(path.sep).join('/');
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex(s => /[*?{]/.test(s));
+    const base = segments.slice(0, firstGlob).join('/') || '/';
+    if (!fs.existsSync(base)) continue;
+    const regex = globToRegExp(normalized);
+    for (const file of walk(base)) {
+      if (regex.test(file.split(path.sep).join('/'))) found.add(file);
+    }
+  }
+  return [...found].sort();
+}
+
+// ─── Browser per file ───────────────────────────────────────────────────────
+
+export const TEST_SESSION = 'repl-test';
+
+/**
+ * (Re-)open the session's browser and connect to it.
+ * `open` restarts a running daemon, so this never reuses an existing context.
+ */
+export async function openFreshSession(sessionName, opts = {}) {
+  await startDaemon(sessionName, { ...opts, silent: true });
+  await waitForDaemon(sessionName);
+  const conn = new DaemonConnection(socketPath(sessionName), replVersion);
+  await conn.connect();
+  return conn;
+}
+
+// ─── Summary ────────────────────────────────────────────────────────────────
+
+export function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Print one line per file plus failure details and totals.
+ */
+export function printSummary(results, duration) {
+  const failed = results.filter(r => !r.passed);
+  console.log(`\n${c.bold}Results:${c.reset}`);
+  for (const result of results) {
+    const mark = result.passed ? `${c.green}✓${c.reset}` : `${c.red}✗${c.reset}`;
+    console.log(`  ${mark} ${formatLocation(result.file)} ${c.dim}(${formatDuration(result.duration)})${c.reset}`);
+    if (result.error) console.log(`      ${c.red}${result.error}${c.reset}`);
+    for (const { file, line, command, error } of result.failures) {
+      console.log(`      ${formatLocation(file, line)}  ${command}`);
+      console.log(`        ${c.red}${error.split('\n').join('\n        ')}${c.reset}`);
+    }
+  }
+  const counts = [`${c.green}${results.length - failed.length} passed${c.reset}`];
+  if (failed.length) counts.push(`${c.red}${failed.length} failed${c.reset}`);
+  console.log(`\n${results.length} file${results.length === 1 ? '' : 's'}: ${counts.join(', ')} ${c.dim}(${formatDuration(duration)})${c.reset}`);
+}
+
+// ─── Runner ─────────────────────────────────────────────────────────────────
+
+/**
+ * Replay every file matching `patterns`, one fresh browser each, then
+ * write any configured reports (opts.reporters).
+ * Returns the per-file results: [{ file, passed, failures, error, duration }]
+ */
+export async function runTests(patterns, opts = {}) {
+  const sessionName = opts.session || TEST_SESSION;
+  const files = findTestFiles(patterns);
+  if (files.length === 0) throw new Error(`No .pw files found for: ${patterns.join(' ')}`);
+
+  console.log(`${c.bold}${c.magenta}🎭 Playwright REPL${c.reset} ${c.dim}v${replVersion}${c.reset}`);
+  console.log(`${c.dim}Running ${files.length} file${files.length === 1 ? '' : 's'}${c.reset}\n`);
+
+  const startTime = new Date();
+  const results = [];
+  for (const file of files) {
+    const fileStart = Date.now();
+    let conn;
+    try {
+      conn = await openFreshSession(sessionName, opts);
+      const ctx = {
+        conn, session: new SessionManager(), rl: null, sessionName,
+        log: opts.silent ? () => {} : (...args) => console.log(...args),
+        vars: { ...opts.vars }, commandCount: 0,
+        continueOnError: opts.continueOnError || false,
+        timeout: opts.timeout,
+        updateSnapshots: opts.updateSnapshots || false,
+        trace: opts.trace,
+        video: opts.video,
+      };
+      results.push(await playFile(ctx, file));
+    } catch (err) {
+      console.error(`${c.red}Error:${c.reset} ${err.message}`);
+      results.push({ file, passed: false, failures: [], error: err.message, duration: Date.now() - fileStart });
+    } finally {
+      // Don't leave the browser running after the file
+      await conn?.send('stop', {}).catch(() => {});
+      conn?.close();
+    }
+    console.log();
+  }
+
+  const duration = Date.now() - startTime;
+  printSummary(results, duration);
+  writeReports(opts.reporters, results, { duration, timestamp: startTime });
+  return results;
+}
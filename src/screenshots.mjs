@@ -0,0 +1,99 @@
+/**
+ * Screenshots — compare screenshots against baselines for verify-screenshot.
+ *
+ *   verify-screenshot cart            → __screenshots__/cart.png next to the .pw file
+ *   verify-screenshot cart "Summary"  → the same, for one element
+ *
+ * A missing baseline is written from the screenshot (and the check fails, so
+ * it gets reviewed); --update-snapshots overwrites baselines instead of
+ * comparing. On a mismatch, <name>-actual.png and <name>-diff.png are
+ * written beside the baseline.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { playwrightCore } from './resolve.mjs';
+import { formatLocation } from './utils.mjs';
+
+export const SCREENSHOTS_DIR = '__screenshots__';
+
+// ─── Paths ──────────────────────────────────────────────────────────────────
+
+/**
+ * The baseline for `name`, in the __screenshots__ directory under `dir`.
+ */
+export function baselinePath(name, dir) {
+  const file = /\.png$/i.test(name) ? name : `${name}.png`;
+  return path.join(dir, SCREENSHOTS_DIR, file);
+}
+
+/**
+ * Where a failed comparison leaves the screenshot and the diff image.
+ */
+export function failurePaths(baseline) {
+  const stem = baseline.replace(/\.png$/i, '');
+  return { actual: `${stem}-actual.png`, diff: `${stem}-diff.png` };
+}
+
+// ─── Options ────────────────────────────────────────────────────────────────
+
+// verify-screenshot flags → toHaveScreenshot() options
+export const COMPARE_OPTIONS = {
+  'threshold': 'threshold',
+  'max-diff-pixels': 'maxDiffPixels',
+  'max-diff-pixel-ratio': 'maxDiffPixelRatio',
+};
+
+/**
+ * Read the comparison flags from parsed args. Throws on a non-numeric value.
+ */
+export function compareOptions(args) {
+  const options = {};
+  for (const [flag, key] of Object.entries(COMPARE_OPTIONS)) {
+    if (args[flag] === undefined) continue;
+    const value = Number(args[flag]);
+    if (!/^\d*\.?\d+$/.test(String(args[flag])) || Number.isNaN(value)) throw new Error(`Invalid --${flag}: ${args[flag]} (expected a number)`);
+    options[key] = value;
+  }
+  return options;
+}
+
+// ─── Comparison ─────────────────────────────────────────────────────────────
+
+/**
+ * Compare a PNG buffer with its baseline.
+ * Options are those of toHaveScreenshot(): threshold (per-pixel colour
+ * tolerance, 0–1), maxDiffPixels and maxDiffPixelRatio — plus `update`.
+ * Returns { status, message }, where status is one of
+ *   'passed'  — matches the baseline
+ *   'updated' — baseline overwritten (update)
+ *   'written' — there was no baseline; the screenshot is now the baseline
+ *   'failed'  — differs; the actual and diff images were written
+ */
+export function compareScreenshot(actual, baseline, { update = false, ...options } = {}) {
+  const failure = failurePaths(baseline);
+
+  if (update || !fs.existsSync(baseline)) {
+    fs.mkdirSync(path.dirname(baseline), { recursive: true });
+    fs.writeFileSync(baseline, actual);
+    removeFailure(failure);
+    if (update) return { status: 'updated', message: `Updated ${formatLocation(baseline)}` };
+    return { status: 'written', message: `No baseline yet — saved this screenshot as ${formatLocation(baseline)}; check it and run again` };
+  }
+
+  const result = playwrightCore('utils').getComparator('image/png')(actual, fs.readFileSync(baseline), options);
+  if (!result) {
+    removeFailure(failure);
+    return { status: 'passed', message: `Matches ${formatLocation(baseline)}` };
+  }
+
+  fs.writeFileSync(failure.actual, actual);
+  if (result.diff) fs.writeFileSync(failure.diff, result.diff);
+  const see = result.diff ? failure.diff : failure.actual;
+  return { status: 'failed', message: `Screenshot differs from ${formatLocation(baseline)}: ${result.errorMessage.trim()}\nSee ${formatLocation(see)}` };
+}
+
+function removeFailure({ actual, diff }) {
+  fs.rmSync(actual, { force: true });
+  fs.rmSync(diff, { force: true });
+}
@@ -0,0 +1,74 @@
+/**
+ * Snapshots — compare accessibility trees against YAML baselines for
+ * verify-snapshot, and diff them.
+ *
+ *   verify-snapshot signup            → __snapshots__/signup.aria.yml next to the .pw file
+ *   verify-snapshot signup "Sign up"  → the same, for one element's subtree
+ *
+ * Trees are Playwright's ARIA snapshots — the `snapshot` format without the
+ * [ref=…] markers, which change from one snapshot to the next. A missing
+ * baseline is written (and the check fails, so it gets reviewed); update mode
+ * overwrites baselines instead of comparing.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { playwrightCore } from './resolve.mjs';
+import { formatLocation } from './utils.mjs';
+
+export const SNAPSHOTS_DIR = '__snapshots__';
+
+// ─── Paths ──────────────────────────────────────────────────────────────────
+
+/**
+ * The baseline for `name`, in the __snapshots__ directory under `dir`.
+ */
+export function snapshotPath(name, dir) {
+  const file = /\.ya?ml$/i.test(name) ? name : `${name}.aria.yml`;
+  return path.join(dir, SNAPSHOTS_DIR, file);
+}
+
+// ─── Diffing ────────────────────────────────────────────────────────────────
+
+/**
+ * Drop the [ref=…] markers from a `snapshot` tree, so unchanged nodes compare equal.
+ */
+export function stripRefs(tree) {
+  return tree.replace(/ \[ref=[^\]]+\]/g, '');
+}
+
+/**
+ * A unified diff of two texts, or '' when they are equal.
+ */
+export function unifiedDiff(expected, actual, { from = 'expected', to = 'actual', context = 3 } = {}) {
+  const { hunks } = playwrightCore('utilsBundle').diff.structuredPatch(from, to, expected, actual, '', '', { context });
+  if (hunks.length === 0) return '';
+  const lines = [`--- ${from}`, `+++ ${to}`];
+  for (const hunk of hunks) {
+    lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    lines.push(...hunk.lines.filter(l => !l.startsWith('\\')));
+  }
+  return lines.join('\n');
+}
+
+// ─── Comparison ─────────────────────────────────────────────────────────────
+
+/**
+ * Compare an ARIA snapshot with its baseline.
+ * Returns { status, message } — status is 'passed', 'updated', 'written'
+ * (there was no baseline) or 'failed', whose message carries the diff.
+ */
+export function compareSnapshot(actual, baseline, { update = false } = {}) {
+  const tree = `${actual.trimEnd()}\n`;
+
+  if (update || !fs.existsSync(baseline)) {
+    fs.mkdirSync(path.dirname(baseline), { recursive: true });
+    fs.writeFileSync(baseline, tree, 'utf-8');
+    if (update) return { status: 'updated', message: `Updated ${formatLocation(baseline)}` };
+    return { status: 'written', message: `No baseline yet — saved this snapshot as ${formatLocation(baseline)}; check it and run again` };
+  }
+
+  const diff = unifiedDiff(fs.readFileSync(baseline, 'utf-8'), tree, { from: formatLocation(baseline), to: 'actual' });
+  if (!diff) return { status: 'passed', message: `Matches ${formatLocation(baseline)}` };
+  return { status: 'failed', message: `Snapshot differs from ${formatLocation(baseline)}:\n${diff}` };
+}
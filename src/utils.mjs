@@ -0,0 +1,65 @@
+/**
+ * Small helpers shared by the REPL, the test runner and the exporters.
+ * No imports from the rest of src/, so any module can use them.
+ */
+
+import path from 'node:path';
+
+// ─── Patterns ───────────────────────────────────────────────────────────────
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob to a RegExp over '/'-separated paths.
+ * Supports `**` (any depth), `*`, `?` and `{a,b}`.
+ */
+export function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+      else { re += '.*'; i += 1; }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '{') {
+      const close = glob.indexOf('}', i);
+      if (close === -1) { re += '\\{'; continue; }
+      re += '(?:' + glob.slice(i + 1, close).split(',').map(escapeRegExp).join('|') + ')';
+      i = close;
+    } else {
+      re += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * What verify-url / verify-title compare against, as a RegExp:
+ *   /dash(board)?/i               → that regex
+ *   https://shop.test/orders/*    → a URL glob (verify-url only; * stays within a path segment)
+ *   anything else                 → the exact text
+ */
+export function textPattern(expected, { glob = false } = {}) {
+  const regex = /^\/(.+)\/([dgimsuy]*)$/s.exec(expected);
+  if (regex) return new RegExp(regex[1], regex[2].replace('g', ''));
+  if (glob && /[*{]/.test(expected)) return globToRegExp(expected);
+  return new RegExp(`^${escapeRegExp(expected)}$`);
+}
+
+// ─── Paths ──────────────────────────────────────────────────────────────────
+
+/**
+ * "file:line", relative to the working directory when inside it.
+ * Without a line, just the file.
+ */
+export function formatLocation(file, line) {
+  const relative = path.relative(process.cwd(), file);
+  const shown = relative && !relative.startsWith('..') ? relative : file;
+  return line === undefined ? shown : `${shown}:${line}`;
+}
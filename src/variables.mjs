@@ -0,0 +1,89 @@
+/**
+ * Variables — `${NAME}` interpolation for REPL input and .pw files.
+ *
+ * Lookup order: REPL variables (set / --var / --env-file) → process.env.
+ *
+ *   goto ${BASE_URL}/login          → goto https://staging.myapp.com/login
+ *   fill "Email" ${EMAIL:-a@b.com}  → default used when EMAIL is not set
+ *   run-code "... \${x} ..."        → backslash keeps the reference literal
+ *   run-code "... ${x} ..."         → left as is when x is unset (JS template literal)
+ */
+
+import fs from 'node:fs';
+
+/** A `${NAME}` or `${NAME:-default}` reference; a leading backslash escapes it. */
+export const VAR_REF = /\\?\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+export const VAR_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// ─── Interpolation ───────────────────────────────────────────────────────────
+
+/**
+ * Expand `${NAME}` references in a line.
+ * Throws on a reference that has no value and no `:-` default, unless
+ * `keepUnset` is set: then it is left as typed (JS template literals in run-code).
+ */
+export function interpolate(line, vars = {}, { keepUnset = false } = {}) {
+  return line.replace(VAR_REF, (match, name, fallback) => {
+    if (match.startsWith('\\')) return match.slice(1);
+    if (Object.hasOwn(vars, name)) return String(vars[name]);
+    if (process.env[name] !== undefined) return process.env[name];
+    if (fallback !== undefined) return fallback;
+    if (keepUnset) return match;
+    throw new Error(`Undefined variable: ${name}`);
+  });
+}
+
+// ─── Assignments ─────────────────────────────────────────────────────────────
+
+/**
+ * Strip one pair of matching surrounding quotes.
+ */
+export function unquote(value) {
+  if (value.length >= 2 && (value[0] === '"' || value[0] === "'") && value.at(-1) === value[0])
+    return value.slice(1, -1);
+  return value;
+}
+
+/**
+ * Parse "KEY=VALUE" into { name, value }. Returns null if malformed.
+ */
+export function parseAssignment(text) {
+  const eq = text.indexOf('=');
+  if (eq <= 0) return null;
+  const name = text.substring(0, eq).trim();
+  if (!VAR_NAME.test(name)) return null;
+  return { name, value: unquote(text.substring(eq + 1).trim()) };
+}
+
+/**
+ * Parse repeated --var KEY=VALUE flags (minimist gives a string or an array).
+ */
+export function parseVarArgs(list) {
+  const vars = {};
+  for (const item of [].concat(list ?? [])) {
+    const assignment = parseAssignment(String(item));
+    if (!assignment) throw new Error(`Invalid --var "${item}" (expected KEY=VALUE)`);
+    vars[assignment.name] = assignment.value;
+  }
+  return vars;
+}
+
+/**
+ * Load a .env-style file: KEY=VALUE per line, # comments, optional `export`.
+ */
+export function loadEnvFile(filename) {
+  if (!filename) return {};
+  if (!fs.existsSync(filename)) throw new Error(`File not found: ${filename}`);
+
+  const vars = {};
+  const lines = fs.readFileSync(filename, 'utf-8').split(/\r?\n/);
+  for (const [i, raw] of lines.entries()) {
+    const line = raw.trim().replace(/^export\s+/, '');
+    if (!line || line.startsWith('#')) continue;
+    const assignment = parseAssignment(line);
+    if (!assignment) throw new Error(`${filename}:${i + 1}: expected KEY=VALUE`);
+    vars[assignment.name] = assignment.value;
+  }
+  return vars;
+}
@@ -71,6 +71,18 @@ export async function isDaemonRunning(sessionName) {
   });
 }
 
+/**
+ * Wait until the session's daemon accepts connections on its socket.
+ * Throws when it hasn't come up within `timeout` ms.
+ */
+export async function waitForDaemon(sessionName, { timeout = 10000, interval = 100 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (!(await isDaemonRunning(sessionName))) {
+    if (Date.now() >= deadline) throw new Error(`Daemon for session "${sessionName}" did not start within ${timeout}ms`);
+    await new Promise(r => setTimeout(r, interval));
+  }
+}
+
 /**
  * Start daemon using our own launcher (no @playwright/cli needed).
  */
@@ -0,0 +1,311 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { stringExpression, commandToCode, programToSpec, exportFile } from '../src/exporter.mjs';
+
+const state = () => ({ declared: new Set(), refs: new Set(), helpers: new Set() });
+
+// ─── stringExpression ───────────────────────────────────────────────────────
+
+describe('stringExpression', () => {
+  it('quotes plain strings', () => {
+    expect(stringExpression("it's")).toBe("'it\\'s'");
+  });
+
+  it('reads undeclared variables from the environment', () => {
+    expect(stringExpression('${BASE_URL}/login')).toBe('`${process.env.BASE_URL}/login`');
+    expect(stringExpression('${BASE_URL:-http://localhost}')).toBe("`${process.env.BASE_URL ?? 'http://localhost'}`");
+  });
+
+  it('keeps escaped references as literal text', () => {
+    expect(stringExpression('cost \\${x}')).toBe("'cost ${x}'");
+    expect(stringExpression('\\${x} of ${y}')).toBe('`\\${x} of ${process.env.y}`');
+  });
+
+  it('uses variables declared earlier in the spec', () => {
+    const s = state();
+    s.declared.add('user');
+    expect(stringExpression('${user}@test.com', s)).toBe('`${user}@test.com`');
+  });
+});
+
+// ─── commandToCode ──────────────────────────────────────────────────────────
+
+describe('commandToCode', () => {
+  it('translates navigation', () => {
+    expect(commandToCode('goto https://example.com')).toEqual([`await page.goto('https://example.com');`]);
+    expect(commandToCode('open https://example.com')).toEqual([`await page.goto('https://example.com');`]);
+    expect(commandToCode('back')).toEqual(['await page.goBack();']);
+    expect(commandToCode('reload')).toEqual(['await page.reload();']);
+  });
+
+  it('translates keyboard commands', () => {
+    expect(commandToCode('press Enter')).toEqual([`await page.keyboard.press('Enter');`]);
+    expect(commandToCode('type "hello" --submit')).toEqual([
+      `await page.keyboard.type('hello');`,
+      `await page.keyboard.press('Enter');`,
+    ]);
+  });
+
+  it('translates low-level keyboard and mouse commands', () => {
+    expect(commandToCode('keydown Shift')).toEqual([`await page.keyboard.down('Shift');`]);
+    expect(commandToCode('keyup Shift')).toEqual([`await page.keyboard.up('Shift');`]);
+    expect(commandToCode('mousemove 120 80')).toEqual(['await page.mouse.move(120, 80);']);
+    expect(commandToCode('mousedown')).toEqual(['await page.mouse.down();']);
+    expect(commandToCode('mouseup right')).toEqual([`await page.mouse.up({ button: 'right' });`]);
+    expect(commandToCode('mousewheel 0 -100')).toEqual(['await page.mouse.wheel(0, -100);']);
+  });
+
+  it('reuses the REPL locator chain for text commands', () => {
+    const code = commandToCode('click "Sign in"');
+    expect(code[0]).toBe(`await test.step('click "Sign in"', async () => {`);
+    expect(code).toContain(`  let loc = page.getByText('Sign in', { exact: true });`);
+    expect(code).toContain(`  if (await loc.count() === 0) loc = page.getByRole('button', { name: 'Sign in' });`);
+    expect(code).toContain('  await loc.click();');
+    expect(code.at(-1)).toBe('});');
+  });
+
+  it('emits explicit locators as a single statement', () => {
+    expect(commandToCode('click role=button[name="Sign in"]')).toEqual([`await page.getByRole('button', { name: 'Sign in' }).click();`]);
+    expect(commandToCode('fill testid=email ${EMAIL}')).toEqual(['await page.getByTestId(\'email\').fill(`${process.env.EMAIL}`);']);
+  });
+
+  it('targets press, type, upload and drag at text locators', () => {
+    expect(commandToCode('press Search Enter')).toContain(`  await loc.press('Enter');`);
+    expect(commandToCode('type Comment hi')).toContain(`  await loc.pressSequentially('hi');`);
+    expect(commandToCode('upload Avatar ./a.png')).toContain(`  const files = ['./a.png'];`);
+    expect(commandToCode('drag "Card A" Done')).toContain('  await from.dragTo(to);');
+    expect(commandToCode('upload ./a.png')).toBeNull();
+  });
+
+  it('keeps scopes in the exported step', () => {
+    const code = commandToCode('click Delete in listitem "Buy milk"');
+    expect(code).toContain(`  const scope = page.getByRole('listitem').filter({ hasText: 'Buy milk' });`);
+    expect(code).toContain(`  let loc = scope.getByText('Delete', { exact: true });`);
+  });
+
+  it('interpolates variables inside reused locator chains', () => {
+    const code = commandToCode('fill "Email" ${EMAIL}');
+    expect(code).toContain('  await loc.fill(`${process.env.EMAIL}`);');
+  });
+
+  it('uses aria-ref locators for snapshot refs', () => {
+    const s = state();
+    expect(commandToCode('click e5 --button right', s)).toEqual([`await page.locator('aria-ref=e5').click({ button: 'right' });`]);
+    expect(s.refs.has('e5')).toBe(true);
+    expect(commandToCode('fill e7 secret', s)).toEqual([`await page.locator('aria-ref=e7').fill('secret');`]);
+  });
+
+  it('turns verify-* into expect assertions', () => {
+    expect(commandToCode('verify-text Welcome back')).toEqual([
+      `await expect(page.getByText('Welcome back').filter({ visible: true }).first()).toBeVisible();`,
+    ]);
+    expect(commandToCode('verify-element button "Submit"')).toEqual([
+      `await expect(page.getByRole('button', { name: 'Submit' }).first()).toBeVisible();`,
+    ]);
+    expect(commandToCode('verify-value e5 hello')).toEqual([
+      `await expect(page.locator('aria-ref=e5')).toHaveValue('hello');`,
+    ]);
+    expect(commandToCode('verify-list e3 a b')).toHaveLength(2);
+  });
+
+  it('turns URL and title checks into page assertions', () => {
+    expect(commandToCode('verify-url **/orders/*')).toEqual(['await expect(page).toHaveURL(/^(?:.*\\/)?orders\\/[^/]*$/);']);
+    expect(commandToCode('verify-url https://a.com/')).toEqual([`await expect(page).toHaveURL('https://a.com/');`]);
+    expect(commandToCode('verify-title /todo/i')).toEqual(['await expect(page).toHaveTitle(/todo/i);']);
+  });
+
+  it('carries --timeout over to the matcher', () => {
+    expect(commandToCode('verify-text Saved --timeout 3000')).toEqual([
+      `await expect(page.getByText('Saved').filter({ visible: true }).first()).toBeVisible({ timeout: 3000 });`,
+    ]);
+    expect(commandToCode('verify-attribute e5 aria-expanded true --timeout 3000')).toEqual([
+      `await expect(page.locator('aria-ref=e5')).toHaveAttribute('aria-expanded', 'true', { timeout: 3000 });`,
+    ]);
+  });
+
+  it('maps --not, verify-no-* and soft onto expect modifiers', () => {
+    expect(commandToCode('verify-no-text Error')).toEqual([
+      `await expect(page.getByText('Error').filter({ visible: true }).first()).not.toBeVisible();`,
+    ]);
+    expect(commandToCode('verify-url **/login --not')).toEqual(['await expect(page).not.toHaveURL(/^(?:.*\\/)?login$/);']);
+    expect(commandToCode('soft verify-title Checkout --timeout 500')).toEqual([`await expect.soft(page).toHaveTitle('Checkout', { timeout: 500 });`]);
+  });
+
+  it('turns verify-screenshot into toHaveScreenshot()', () => {
+    expect(commandToCode('verify-screenshot home --max-diff-pixels 10')).toEqual([
+      `await expect(page).toHaveScreenshot('home.png', { maxDiffPixels: 10 });`,
+    ]);
+    expect(commandToCode('verify-screenshot header testid=header --timeout 9000')).toEqual([
+      `await expect(page.getByTestId('header')).toHaveScreenshot('header.png', { timeout: 9000 });`,
+    ]);
+    expect(commandToCode('verify-screenshot cart Summary')).toContain(`  await expect(loc).toHaveScreenshot('cart.png');`);
+  });
+
+  it('turns verify-snapshot into toMatchAriaSnapshot()', () => {
+    expect(commandToCode('verify-snapshot signup')).toEqual([
+      `await expect(page.locator('body')).toMatchAriaSnapshot({ name: 'signup.aria.yml' });`,
+    ]);
+    expect(commandToCode('verify-snapshot form role=form --timeout 300')).toEqual([
+      `await expect(page.getByRole('form')).toMatchAriaSnapshot({ name: 'form.aria.yml', timeout: 300 });`,
+    ]);
+  });
+
+  it('turns locator assertions into expect() on the resolved locator', () => {
+    expect(commandToCode('verify-hidden testid=spinner')).toEqual([
+      `await expect(page.getByTestId('spinner').filter({ visible: true })).toHaveCount(0);`,
+    ]);
+    expect(commandToCode('verify-attribute e5 aria-expanded true')).toEqual([
+      `await expect(page.locator('aria-ref=e5')).toHaveAttribute('aria-expanded', 'true');`,
+    ]);
+    const code = commandToCode('verify-count Delete 3');
+    expect(code[0]).toBe(`await test.step('verify-count Delete 3', async () => {`);
+    expect(code).toContain('  await expect(loc).toHaveCount(3);');
+  });
+
+  it('fills escaped references literally', () => {
+    expect(commandToCode('fill "Note" "cost \\${x}"', state()).join('\n')).toContain(".fill('cost ${x}')");
+  });
+
+  it('declares variables from set and captures', () => {
+    const s = state();
+    expect(commandToCode('set USER "alice"', s)).toEqual([`let USER = 'alice';`]);
+    expect(commandToCode('set USER bob', s)).toEqual([`USER = 'bob';`]);
+    expect(commandToCode('eval document.title -> title', s)).toEqual(['let title = await page.evaluate(() => (document.title));']);
+    expect(commandToCode('goto https://x.com/${title}', s)).toEqual(['await page.goto(`https://x.com/${title}`);']);
+  });
+
+  it('passes run-code functions the page', () => {
+    expect(commandToCode('run-code "async (page) => page.url()" -> url')).toEqual(['let url = await (async (page) => page.url())(page);']);
+  });
+
+  it('skips inspection commands', () => {
+    expect(commandToCode('snapshot')).toEqual([]);
+    expect(commandToCode('open')).toEqual([]);
+    expect(commandToCode('tracing-start')).toEqual([]);
+    expect(commandToCode('video-stop --filename demo.webm')).toEqual([]);
+  });
+
+  it('returns null for commands with no equivalent', () => {
+    expect(commandToCode('tab-new https://example.com')).toBeNull();
+    expect(commandToCode('route "**/api" --status 500')).toBeNull();
+  });
+});
+
+// ─── programToSpec / exportFile ─────────────────────────────────────────────
+
+describe('programToSpec', () => {
+  it('wraps commands in a test with imports', () => {
+    const spec = programToSpec([{ op: 'cmd', text: 'goto https://example.com' }], { title: 'smoke' });
+    expect(spec).toBe([
+      `import { test, expect } from '@playwright/test';`,
+      '',
+      `test('smoke', async ({ page }) => {`,
+      `  await page.goto('https://example.com');`,
+      '});',
+      '',
+    ].join('\n'));
+  });
+
+  it('turns breakpoints into page.pause()', () => {
+    const spec = programToSpec([{ op: 'breakpoint', text: 'breakpoint' }, { op: 'cmd', text: 'reload' }]);
+    expect(spec).toContain('  await page.pause();\n  await page.reload();');
+  });
+
+  it('leaves TODO comments for refs and unsupported commands', () => {
+    const spec = programToSpec([
+      { op: 'cmd', text: 'click e5' },
+      { op: 'cmd', text: 'tab-new' },
+    ]);
+    expect(spec).toContain('  // TODO: e5 is a snapshot ref — replace it with a stable locator');
+    expect(spec).toContain('  // TODO: tab-new');
+  });
+});
+
+describe('exportFile', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-export-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('names the test after the file', () => {
+    const file = path.join(tmpDir, 'login.pw');
+    fs.writeFileSync(file, '# comment\ngoto https://example.com\n');
+    expect(exportFile(file)).toContain(`test('login', async ({ page }) => {`);
+  });
+
+  it('maps blocks onto TypeScript control flow', () => {
+    const file = path.join(tmpDir, 'blocks.pw');
+    fs.writeFileSync(file, [
+      'if verify-text "Accept cookies"',
+      '  press Escape',
+      'else',
+      '  reload',
+      'end',
+      'repeat 3',
+      '  press ArrowDown',
+      'end',
+      'for item in "Buy milk" Deploy',
+      '  type ${item}',
+      'end',
+    ].join('\n'));
+    const spec = exportFile(file);
+    expect(spec).toContain('async function passes(step: () => Promise<unknown>) {');
+    expect(spec).toContain(`  if (await passes(async () => { await expect(page.getByText('Accept cookies').filter({ visible: true }).first()).toBeVisible({ timeout: 0 }); })) {`);
+    expect(spec).toContain(`    await page.keyboard.press('Escape');\n  } else {\n    await page.reload();\n  }`);
+    expect(spec).toContain('  for (let i = 0; i < 3; i++) {');
+    expect(spec).toContain(`  for (let item of ['Buy milk', 'Deploy']) {\n    await page.keyboard.type(\`\${item}\`);\n  }`);
+  });
+
+  it('lets set reassign the loop variable', () => {
+    const file = path.join(tmpDir, 'loop.pw');
+    fs.writeFileSync(file, 'for n in 1 2\n  set n 3\nend\n');
+    expect(exportFile(file)).toContain("  for (let n of ['1', '2']) {\n    n = '3';\n  }");
+  });
+
+  it('checks if conditions once unless given a timeout', () => {
+    const file = path.join(tmpDir, 'if.pw');
+    fs.writeFileSync(file, 'if verify-url /done/\nend\nif verify-url /done/ --timeout 2000\nend\nverify-url /done/\n');
+    const spec = exportFile(file);
+    expect(spec).toContain('toHaveURL(/done/, { timeout: 0 })');
+    expect(spec).toContain('toHaveURL(/done/, { timeout: 2000 })');
+    expect(spec).toContain('  await expect(page).toHaveURL(/done/);');
+  });
+
+  it('scopes loop variables to the loop', () => {
+    const file = path.join(tmpDir, 'scope.pw');
+    fs.writeFileSync(file, 'for n in 1 2\n  type ${n}\nend\ntype ${n:-0}\n');
+    expect(exportFile(file)).toContain("  await page.keyboard.type(`${process.env.n ?? '0'}`);");
+  });
+
+  it('hoists variables first set inside a block to the test body', () => {
+    const file = path.join(tmpDir, 'hoist.pw');
+    fs.writeFileSync(file, 'repeat 2\n  set X 1\nend\ngoto ${X}\n');
+    const spec = exportFile(file);
+    expect(spec).toContain(`test('hoist', async ({ page }) => {\n  let X;\n  for (let i = 0; i < 2; i++) {\n    X = '1';\n  }`);
+    expect(spec).toContain('  await page.goto(`${X}`);');
+  });
+
+  it('passes loop variables through to calls inside the loop', () => {
+    fs.writeFileSync(path.join(tmpDir, 'login.pw'), 'type ${user}\n');
+    const file = path.join(tmpDir, 'main.pw');
+    fs.writeFileSync(file, 'for user in alice bob\n  call login.pw user=${user}\nend\n');
+    const spec = exportFile(file);
+    expect(spec).toContain(`    // call login.pw user=\${user}\n    {\n      await page.keyboard.type(\`\${user}\`);\n    }`);
+    expect(spec).not.toContain('const user =');
+  });
+
+  it('inlines call with its parameters as constants', () => {
+    fs.writeFileSync(path.join(tmpDir, 'login.pw'), 'type ${user}\n');
+    const file = path.join(tmpDir, 'main.pw');
+    fs.writeFileSync(file, 'call login.pw user=alice\n');
+    const spec = exportFile(file);
+    expect(spec).toContain(`  // call login.pw user=alice\n  {\n    const user = 'alice';\n    await page.keyboard.type(\`\${user}\`);\n  }`);
+  });
+});
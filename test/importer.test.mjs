@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import { splitStatements, parseChain, chainToCommand, pwArg, importSource } from '../src/importer.mjs';
+
+const convert = (statement) => chainToCommand(parseChain(statement));
+
+// ─── splitStatements ────────────────────────────────────────────────────────
+
+describe('splitStatements', () => {
+  it('drops the test wrapper and keeps titles and comments', () => {
+    const items = splitStatements([
+      `import { test, expect } from '@playwright/test';`,
+      `test('adds a todo', async ({ page }) => {`,
+      `  // fill the form`,
+      `  await page.goto('https://example.com');`,
+      `});`,
+    ].join('\n'));
+    expect(items).toEqual([
+      { type: 'statement', text: `import { test, expect } from '@playwright/test'` },
+      { type: 'test', text: 'adds a todo' },
+      { type: 'comment', text: 'fill the form' },
+      { type: 'statement', text: `await page.goto('https://example.com')` },
+    ]);
+  });
+
+  it('joins statements that span lines', () => {
+    const items = splitStatements(`await page.locator('#main').click({\n  button: 'right',\n});`);
+    expect(items).toEqual([{ type: 'statement', text: `await page.locator('#main').click({\nbutton: 'right',\n})` }]);
+  });
+
+  it('ignores brackets inside strings', () => {
+    const items = splitStatements(`await page.getByText('(').click();\nawait page.reload();`);
+    expect(items).toHaveLength(2);
+  });
+});
+
+// ─── parseChain ─────────────────────────────────────────────────────────────
+
+describe('parseChain', () => {
+  it('parses calls with literal arguments', () => {
+    expect(parseChain(`await page.getByRole('button', { name: "Save", exact: true }).click()`)).toEqual({
+      root: 'page',
+      subject: null,
+      calls: [
+        { name: 'getByRole', args: ['button', { name: 'Save', exact: true }] },
+        { name: 'click', args: [] },
+      ],
+    });
+  });
+
+  it('parses expect subjects as nested chains', () => {
+    const chain = parseChain(`await expect(page.getByText('Saved')).toBeVisible()`);
+    expect(chain.root).toBe('expect');
+    expect(chain.subject.calls[0]).toEqual({ name: 'getByText', args: ['Saved'] });
+  });
+
+  it('returns null for code that is not a plain chain', () => {
+    expect(parseChain(`const title = await page.title()`)).toBeNull();
+    expect(parseChain('await page.goto(`${base}/login`)')).toBeNull();
+  });
+});
+
+// ─── chainToCommand ─────────────────────────────────────────────────────────
+
+describe('chainToCommand', () => {
+  it('maps navigation and keyboard', () => {
+    expect(convert(`await page.goto('https://example.com/')`)).toBe('goto https://example.com/');
+    expect(convert('await page.goBack()')).toBe('go-back');
+    expect(convert('await page.reload()')).toBe('reload');
+    expect(convert('await page.pause()')).toBe('breakpoint');
+    expect(convert(`await page.keyboard.press('Control+A')`)).toBe('press Control+A');
+    expect(convert(`await page.keyboard.type('hello world')`)).toBe('type "hello world"');
+    expect(convert('await page.setViewportSize({ width: 1280, height: 720 })')).toBe('resize 1280 720');
+  });
+
+  it('maps low-level keyboard and mouse calls', () => {
+    expect(convert(`await page.keyboard.down('Shift')`)).toBe('keydown Shift');
+    expect(convert(`await page.keyboard.up('Shift')`)).toBe('keyup Shift');
+    expect(convert('await page.mouse.move(120, 80)')).toBe('mousemove 120 80');
+    expect(convert('await page.mouse.down()')).toBe('mousedown');
+    expect(convert(`await page.mouse.up({ button: 'right' })`)).toBe('mouseup right');
+    expect(convert('await page.mouse.wheel(0, -100)')).toBe('mousewheel 0 -100');
+    expect(convert('await page.mouse.move(120, 80, { steps: 5 })')).toBeNull();
+  });
+
+  it('maps locator actions onto text commands', () => {
+    expect(convert(`await page.getByText('Active').dblclick()`)).toBe('dblclick Active');
+    expect(convert(`await page.getByLabel('Email').fill('a@b.com')`)).toBe('fill Email a@b.com');
+    expect(convert(`await page.getByLabel('Country').selectOption('CA')`)).toBe('select Country CA');
+    expect(convert(`await page.getByLabel('Search').pressSequentially('hello world')`)).toBe('type Search "hello world"');
+  });
+
+  it('maps expect assertions onto verify commands', () => {
+    expect(convert(`await expect(page.getByText('Saved')).toBeVisible()`)).toBe('verify-text Saved');
+    expect(convert(`await expect(page.getByRole('heading', { name: 'todos' })).toBeVisible()`)).toBe('verify-element heading todos');
+    expect(convert(`await expect(page.getByTestId('title')).toHaveText('Buy milk')`)).toBe('verify-text "Buy milk"');
+    expect(convert(`await expect(page.getByRole('status')).toContainText('Done')`)).toBe('verify-text Done');
+  });
+
+  it('uses explicit locators where the REPL would resolve the text differently', () => {
+    expect(convert(`await page.getByRole('menuitem', { name: 'Open' }).click()`)).toBe('click role=menuitem[name="Open"]');
+    expect(convert(`await page.getByPlaceholder('Search').click()`)).toBe('click placeholder=Search');
+    // Only the first locator the REPL tries is safe: "Sign in" text would win over the button
+    expect(convert(`await page.getByRole('button', { name: 'Sign in' }).click()`)).toBe('click role=button[name="Sign in"]');
+    expect(convert(`await page.getByRole('link', { name: 'Docs' }).hover()`)).toBe('hover role=link[name="Docs"]');
+    expect(convert(`await page.getByPlaceholder('What needs to be done?').fill('Buy milk')`)).toBe('fill "placeholder=What needs to be done?" "Buy milk"');
+    expect(convert(`await page.getByPlaceholder('Search').press('Enter')`)).toBe('press placeholder=Search Enter');
+    expect(convert(`await page.getByRole('textbox', { name: 'Note' }).type('hi')`)).toBe('type role=textbox[name="Note"] hi');
+    expect(convert(`await page.getByRole('checkbox', { name: 'Toggle Todo' }).check()`)).toBe('check role=checkbox[name="Toggle Todo"]');
+    expect(convert(`await page.getByLabel('Accept terms').check()`)).toBe('check "label=Accept terms"');
+    expect(convert(`await page.getByTestId('submit').click()`)).toBe('click testid=submit');
+    expect(convert(`await page.locator('.btn').click()`)).toBe('click css=.btn');
+    expect(convert(`await page.locator('#email').fill('a@b.com')`)).toBe('fill css=#email a@b.com');
+  });
+
+  it('leaves locators with no .pw form unmapped', () => {
+    expect(convert(`await page.getByText('Save').click({ button: 'right' })`)).toBeNull();
+    expect(convert(`await page.getByText('Save').first().click()`)).toBeNull();
+    expect(convert(`await expect(page).toHaveURL(/done/)`)).toBeNull();
+  });
+});
+
+// ─── pwArg ──────────────────────────────────────────────────────────────────
+
+describe('pwArg', () => {
+  it('quotes only when needed', () => {
+    expect(pwArg('Save')).toBe('Save');
+    expect(pwArg('Sign in')).toBe('"Sign in"');
+    expect(pwArg('Say "hi"')).toBe(`'Say "hi"'`);
+    expect(pwArg(`It's "x"`)).toBeNull();
+  });
+
+  it('keeps ${...} literal', () => {
+    expect(pwArg('${price}')).toBe('\\${price}');
+  });
+});
+
+// ─── importSource ───────────────────────────────────────────────────────────
+
+describe('importSource', () => {
+  it('converts a spec file', () => {
+    const script = importSource([
+      `import { test, expect } from '@playwright/test';`,
+      '',
+      `test('add todo', async ({ page }) => {`,
+      `  await page.goto('https://demo.playwright.dev/todomvc/');`,
+      `  await page.getByPlaceholder('What needs to be done?').fill('Buy milk');`,
+      `  await page.getByPlaceholder('What needs to be done?').press('Enter');`,
+      `  await expect(page.getByText('Buy milk')).toBeVisible();`,
+      `});`,
+    ].join('\n'), { name: 'todo.spec.ts' });
+    expect(script).toBe([
+      '# Playwright REPL session',
+      '# imported from todo.spec.ts',
+      '',
+      '# add todo',
+      'goto https://demo.playwright.dev/todomvc/',
+      'fill "placeholder=What needs to be done?" "Buy milk"',
+      'press "placeholder=What needs to be done?" Enter',
+      'verify-text "Buy milk"',
+      '',
+    ].join('\n'));
+  });
+
+  it('skips codegen browser setup', () => {
+    const script = importSource([
+      `const { chromium } = require('playwright');`,
+      '',
+      '(async () => {',
+      '  const browser = await chromium.launch({',
+      '    headless: false',
+      '  });',
+      '  const context = await browser.newContext();',
+      '  const page = await context.newPage();',
+      `  await page.goto('https://example.com/');`,
+      '  // ---------------------',
+      '  await context.close();',
+      '  await browser.close();',
+      '})();',
+    ].join('\n'));
+    expect(script.trim().split('\n').slice(-1)).toEqual(['goto https://example.com/']);
+    expect(script).not.toContain('run-code');
+  });
+
+  it('falls back to run-code for anything unmapped', () => {
+    const script = importSource(`await page.locator('#main').click({\n  button: 'right',\n});`);
+    expect(script).toContain(`run-code "async (page) => { await page.locator('#main').click({ button: 'right', }); }"`);
+  });
+
+  it('flags unmapped assertions, which run-code cannot run', () => {
+    const script = importSource('await expect(page).toHaveURL(/done/);');
+    expect(script).toContain('# TODO: expect() is not available in run-code');
+    expect(script).toContain('run-code "async (page) => { await expect(page).toHaveURL(/done/); }"');
+  });
+
+  it('separates multiple tests', () => {
+    const script = importSource(`test('a', async ({ page }) => {\n  await page.reload();\n});\ntest('b', async ({ page }) => {\n  await page.goBack();\n});`);
+    expect(script).toContain('# a\nreload\n\n# b\ngo-back');
+  });
+});
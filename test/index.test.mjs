@@ -49,4 +49,8 @@ describe('index.mjs exports', () => {
   it('exports startRepl', () => {
     expect(typeof api.startRepl).toBe('function');
   });
+
+  it('exports runTests', () => {
+    expect(typeof api.runTests).toBe('function');
+  });
 });
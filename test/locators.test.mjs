@@ -0,0 +1,233 @@
+import { describe, it, expect } from 'vitest';
+import { explicitLocator, parseScope, textToRunCode, diagnoseToRunCode, formatDiagnosis } from '../src/locators.mjs';
+
+// ─── textToRunCode ──────────────────────────────────────────────────────────
+
+describe('textToRunCode', () => {
+  it('click generates fallback chain with getByText exact, role, then getByText', () => {
+    const result = textToRunCode('click', 'Submit', []);
+    expect(result._[0]).toBe('run-code');
+    expect(result._[1]).toContain("page.getByText('Submit', { exact: true })");
+    expect(result._[1]).toContain("page.getByRole('button', { name: 'Submit' })");
+    expect(result._[1]).toContain("page.getByRole('link', { name: 'Submit' })");
+    expect(result._[1]).toContain("loc.click()");
+  });
+
+  it('dblclick generates fallback chain with getByText exact, role, then getByText', () => {
+    const result = textToRunCode('dblclick', 'Edit', []);
+    expect(result._[1]).toContain("page.getByText('Edit', { exact: true })");
+    expect(result._[1]).toContain("page.getByRole('button', { name: 'Edit' })");
+    expect(result._[1]).toContain("loc.dblclick()");
+  });
+
+  it('hover generates fallback chain with getByText exact, role, then getByText', () => {
+    const result = textToRunCode('hover', 'Menu', []);
+    expect(result._[1]).toContain("page.getByText('Menu', { exact: true })");
+    expect(result._[1]).toContain("page.getByRole('button', { name: 'Menu' })");
+    expect(result._[1]).toContain("loc.hover()");
+  });
+
+  it('fill generates getByLabel with fallback chain', () => {
+    const result = textToRunCode('fill', 'Email', ['test@example.com']);
+    expect(result._[1]).toContain("page.getByLabel('Email')");
+    expect(result._[1]).toContain("page.getByPlaceholder('Email')");
+    expect(result._[1]).toContain("loc.fill('test@example.com')");
+  });
+
+  it('select generates getByLabel with fallback chain', () => {
+    const result = textToRunCode('select', 'Country', ['US']);
+    expect(result._[1]).toContain("page.getByLabel('Country')");
+    expect(result._[1]).toContain("loc.selectOption('US')");
+  });
+
+  it('check generates listitem fallback then getByLabel', () => {
+    const result = textToRunCode('check', 'Terms', []);
+    expect(result._[1]).toContain("page.getByRole('listitem').filter({ hasText: 'Terms' })");
+    expect(result._[1]).toContain("page.getByLabel('Terms')");
+  });
+
+  it('uncheck generates listitem fallback then getByLabel', () => {
+    const result = textToRunCode('uncheck', 'Newsletter', []);
+    expect(result._[1]).toContain("page.getByRole('listitem').filter({ hasText: 'Newsletter' })");
+    expect(result._[1]).toContain("page.getByLabel('Newsletter')");
+  });
+
+  it('escapes single quotes in text arg', () => {
+    const result = textToRunCode('click', "Say 'hello'", []);
+    expect(result._[1]).toContain("Say \\'hello\\'");
+  });
+
+  it('escapes backslashes in text arg', () => {
+    const result = textToRunCode('click', 'path\\to\\file', []);
+    expect(result._[1]).toContain("path\\\\to\\\\file");
+  });
+
+  it('escapes single quotes in fill value', () => {
+    const result = textToRunCode('fill', 'Name', ["O'Brien"]);
+    expect(result._[1]).toContain("O\\'Brien");
+  });
+
+  it('returns null for unknown command', () => {
+    expect(textToRunCode('snapshot', 'test', [])).toBeNull();
+    expect(textToRunCode('press', 'Enter', [])).toBeNull();
+  });
+
+  it('wraps code in async function', () => {
+    const result = textToRunCode('click', 'OK', []);
+    expect(result._[1]).toMatch(/^async \(page\) => \{[\s\S]*\}$/);
+  });
+
+  it('fill with empty value', () => {
+    const result = textToRunCode('fill', 'Name', []);
+    expect(result._[1]).toContain("loc.fill('')");
+  });
+
+  it('presses and types into a target field', () => {
+    const press = textToRunCode('press', 'Search', ['Enter'])._[1];
+    expect(press).toContain("let loc = page.getByLabel('Search');");
+    expect(press).toContain("await loc.press('Enter');");
+    const type = textToRunCode('type', 'Comment', ['hello'], { submit: true })._[1];
+    expect(type).toContain("await loc.pressSequentially('hello');\n  await loc.press('Enter');");
+  });
+
+  it('uploads through a file input or a file chooser', () => {
+    const code = textToRunCode('upload', 'Avatar', ['a.png', 'b.png'], { baseDir: '/work' })._[1];
+    expect(code).toContain("let loc = page.getByLabel('Avatar');");
+    expect(code).toContain("const files = ['/work/a.png', '/work/b.png'];");
+    expect(code).toContain('await loc.setInputFiles(files);');
+    expect(code).toContain("page.waitForEvent('filechooser')");
+  });
+
+  it('drags between text, explicit and ref targets', () => {
+    const code = textToRunCode('drag', 'Card A', ['e7'])._[1];
+    expect(code).toContain("let from = page.getByText('Card A', { exact: true });");
+    expect(code).toContain("let to = page.locator('aria-ref=e7');");
+    expect(code).toContain('await from.dragTo(to);');
+    expect(textToRunCode('drag', 'testid=card', ['Done column'])._[1]).toContain("let from = page.getByTestId('card');");
+  });
+
+  it('searches inside a scope and picks the nth match', () => {
+    const result = textToRunCode('click', 'Delete', ['in', 'listitem', 'Buy groceries', 'nth=0']);
+    expect(result._[1]).toContain("const scope = page.getByRole('listitem').filter({ hasText: 'Buy groceries' });");
+    expect(result._[1]).toContain("let loc = scope.getByText('Delete', { exact: true });");
+    expect(result._[1]).toContain('await loc.nth(0).click();');
+  });
+
+  it('reads the fill value before the scope', () => {
+    const result = textToRunCode('fill', 'Name', ['in', 'within', 'dialog', 'New user']);
+    expect(result._[1]).toContain("const scope = page.getByRole('dialog').filter({ hasText: 'New user' });");
+    expect(result._[1]).toContain("await loc.fill('in');");
+  });
+
+  it('scopes explicit locators in one expression', () => {
+    expect(textToRunCode('click', 'testid=edit', ['in', 'row', 'Alice'])._[1])
+      .toContain("await page.getByRole('row').filter({ hasText: 'Alice' }).getByTestId('edit').click();");
+  });
+
+  it('uses explicit locators directly, without a fallback chain', () => {
+    expect(textToRunCode('click', 'role=button[name=Save]', [])._[1])
+      .toBe("async (page) => {\n  await page.getByRole('button', { name: 'Save' }).click();\n}");
+    expect(textToRunCode('fill', 'label=Email', ['a@b.com'])._[1]).toContain("await page.getByLabel('Email').fill('a@b.com');");
+    expect(textToRunCode('select', 'testid=country', ['CA'])._[1]).toContain("await page.getByTestId('country').selectOption('CA');");
+  });
+});
+
+// ─── diagnoseToRunCode / formatDiagnosis ────────────────────────────────────
+
+describe('diagnoseToRunCode', () => {
+  it('counts every strategy of the command inside its scope', () => {
+    const code = diagnoseToRunCode('fill', 'Name', ['x', 'in', 'dialog'])._[1];
+    expect(code).toContain("const scope = page.getByRole('dialog');");
+    expect(code).toContain("['label', scope.getByLabel('Name'), 'getByLabel(\\'Name\\')']");
+    expect(code).toContain("['textbox', scope.getByRole('textbox', { name: 'Name' })");
+    expect(code).toContain('ariaSnapshot');
+  });
+
+  it('returns null for explicit locators', () => {
+    expect(diagnoseToRunCode('click', 'testid=save', [])).toBeNull();
+  });
+});
+
+describe('formatDiagnosis', () => {
+  const strip = (lines) => lines.join('\n').replace(/\x1b\[\d+m/g, '');
+
+  it('explains an ambiguous match with candidates and precise alternatives', () => {
+    const text = strip(formatDiagnosis('click', 'Save', [
+      { strategy: 'exact text', locator: "getByText('Save', { exact: true })", count: 2, candidates: ['button "Save"', 'button "Save"'] },
+      { strategy: 'button', locator: "getByRole('button', { name: 'Save' })", count: 2, candidates: ['button "Save"', 'button "Save"'] },
+    ]));
+    expect(text).toContain('click "Save" is ambiguous — exact text matched 2 elements');
+    expect(text).toMatch(/→ exact text\s+2 matches/);
+    expect(text).toContain('click role=button[name="Save"] nth=1');
+    expect(text).toContain('run snapshot and use the element\'s ref');
+  });
+
+  it('lists every strategy when nothing matched', () => {
+    const text = strip(formatDiagnosis('fill', 'Email', [
+      { strategy: 'label', locator: "getByLabel('Email')", count: 0, candidates: [] },
+      { strategy: 'placeholder', locator: "getByPlaceholder('Email')", count: 0, candidates: [] },
+    ]));
+    expect(text).toContain('fill "Email" matched no elements');
+    expect(text).toMatch(/placeholder\s+0 matches/);
+    expect(text).not.toContain('Candidates');
+  });
+});
+
+// ─── parseScope ─────────────────────────────────────────────────────────────
+
+describe('parseScope', () => {
+  it('leaves unscoped arguments alone', () => {
+    expect(parseScope(['hello'])).toEqual({ args: ['hello'], root: 'page', nth: '' });
+  });
+
+  it('filters a role container by its text', () => {
+    expect(parseScope(['in', 'listitem', 'Buy groceries']).root)
+      .toBe("page.getByRole('listitem').filter({ hasText: 'Buy groceries' })");
+  });
+
+  it('chains scopes from the outside in', () => {
+    expect(parseScope(['in', 'row', 'Alice', 'within', 'dialog', 'Users']).root)
+      .toBe("page.getByRole('dialog').filter({ hasText: 'Users' }).getByRole('row').filter({ hasText: 'Alice' })");
+  });
+
+  it('accepts explicit locators and bare roles as containers', () => {
+    expect(parseScope(['in', 'testid=user-row', 'nth=1'])).toEqual({ args: [], root: "page.getByTestId('user-row')", nth: '.nth(1)' });
+    expect(parseScope(['within', 'dialog']).root).toBe("page.getByRole('dialog')");
+  });
+
+  it('throws when a scope keyword has no container', () => {
+    expect(() => parseScope(['in'])).toThrow('Expected a role or locator after "in"');
+  });
+});
+
+// ─── explicitLocator ────────────────────────────────────────────────────────
+
+describe('explicitLocator', () => {
+  it('maps each prefix onto its Playwright locator', () => {
+    expect(explicitLocator('role=button')).toBe("page.getByRole('button')");
+    expect(explicitLocator('label=Email')).toBe("page.getByLabel('Email')");
+    expect(explicitLocator('placeholder=Search')).toBe("page.getByPlaceholder('Search')");
+    expect(explicitLocator('testid=submit')).toBe("page.getByTestId('submit')");
+    expect(explicitLocator('css=.btn-primary')).toBe("page.locator('css=.btn-primary')");
+    expect(explicitLocator('xpath=//nav/a[2]')).toBe("page.locator('xpath=//nav/a[2]')");
+  });
+
+  it('reads role attributes, with or without quotes around the name', () => {
+    // The tokenizer has already dropped the quotes of role=button[name="Save all"]
+    expect(explicitLocator('role=button[name=Save all]')).toBe("page.getByRole('button', { name: 'Save all' })");
+    expect(explicitLocator(`role=button[name='It's']`)).toBe("page.getByRole('button', { name: 'It\\'s' })");
+    expect(explicitLocator('role=heading[level=2][include-hidden]')).toBe("page.getByRole('heading', { level: 2, includeHidden: true })");
+    expect(explicitLocator('role=checkbox[checked=false]')).toBe("page.getByRole('checkbox', { checked: false })");
+  });
+
+  it('rejects malformed role locators', () => {
+    expect(() => explicitLocator('role=button[checked=maybe]')).toThrow('checked must be true or false');
+    expect(() => explicitLocator('role=Button!')).toThrow('Invalid role locator');
+  });
+
+  it('returns null for plain text and refs', () => {
+    expect(explicitLocator('Save')).toBeNull();
+    expect(explicitLocator('e5')).toBeNull();
+    expect(explicitLocator('a=b')).toBeNull();
+  });
+});
@@ -58,6 +58,11 @@ describe('parseInput', () => {
     expect(typeof args._[1]).toBe('string');
   });
 
+  it('keeps negative numbers as arguments', () => {
+    expect(parseInput('mousewheel 0 -100')).toEqual({ _: ['mousewheel', '0', '-100'] });
+    expect(parseInput('mw -2.5 10')._).toEqual(['mousewheel', '-2.5', '10']);
+  });
+
   it('parses string options', () => {
     const args = parseInput('screenshot --filename test.png');
     expect(args._[0]).toBe('screenshot');
@@ -165,6 +165,23 @@ describe('SessionPlayer', () => {
     expect(player.next()).toBeNull();
   });
 
+  it('progress counts command lines only, not block keywords', () => {
+    const filePath = writeFile('test.pw', [
+      'if verify-text "Accept cookies"',
+      '  click "Accept cookies"',
+      'end',
+      'snapshot',
+    ].join('\n'));
+    const player = new SessionPlayer(filePath);
+    expect(player.progress).toBe(`[0/${player.commands.length}]`);
+    player.next();
+    player.branch(true);
+    player.next();
+    expect(player.progress).toBe('[2/3]');
+    player.next();
+    expect(player.progress).toBe('[3/3]');
+  });
+
   it('current returns the current command', () => {
     const filePath = writeFile('test.pw', 'open https://a.com\nclick e5');
     const player = new SessionPlayer(filePath);
@@ -185,6 +202,344 @@ describe('SessionPlayer', () => {
   });
 });
 
+// ─── SessionPlayer control flow ─────────────────────────────────────────────
+
+describe('SessionPlayer control flow', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeFile(name, lines) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, lines.join('\n'), 'utf-8');
+    return filePath;
+  }
+
+  // Drain a player, answering each `if` with the next value from `outcomes`
+  function run(player, outcomes = []) {
+    const seen = [];
+    for (let cmd = player.next(); cmd !== null; cmd = player.next()) {
+      if (player.step.op === 'if') {
+        seen.push(`if ${cmd}`);
+        player.branch(outcomes.shift());
+      } else {
+        seen.push(cmd);
+      }
+    }
+    return seen;
+  }
+
+  it('compile() keeps file and line numbers', () => {
+    const filePath = writeFile('test.pw', ['# header', '', 'open https://a.com', '  click e5']);
+    const program = SessionPlayer.compile(filePath);
+    expect(program).toEqual([
+      { op: 'cmd', text: 'open https://a.com', file: filePath, line: 3 },
+      { op: 'cmd', text: 'click e5', file: filePath, line: 4 },
+    ]);
+  });
+
+  it('if runs the body when the condition passes', () => {
+    const filePath = writeFile('test.pw', [
+      'if verify-text "Accept cookies"',
+      '  click "Accept cookies"',
+      'end',
+      'snapshot',
+    ]);
+    expect(run(new SessionPlayer(filePath), [true])).toEqual([
+      'if verify-text "Accept cookies"', 'click "Accept cookies"', 'snapshot',
+    ]);
+  });
+
+  it('if skips the body when the condition fails', () => {
+    const filePath = writeFile('test.pw', [
+      'if verify-text "Accept cookies"',
+      '  click "Accept cookies"',
+      'end',
+      'snapshot',
+    ]);
+    expect(run(new SessionPlayer(filePath), [false])).toEqual([
+      'if verify-text "Accept cookies"', 'snapshot',
+    ]);
+  });
+
+  it('if/else picks one branch', () => {
+    const lines = ['if verify-text "Logged in"', 'click "Logout"', 'else', 'click "Login"', 'end', 'snapshot'];
+    const filePath = writeFile('test.pw', lines);
+    expect(run(new SessionPlayer(filePath), [true])).toEqual(['if verify-text "Logged in"', 'click "Logout"', 'snapshot']);
+    expect(run(new SessionPlayer(filePath), [false])).toEqual(['if verify-text "Logged in"', 'click "Login"', 'snapshot']);
+  });
+
+  it('nested if/else blocks branch independently', () => {
+    const filePath = writeFile('test.pw', [
+      'if verify-text A',
+      '  if verify-text B',
+      '    click B',
+      '  else',
+      '    click notB',
+      '  end',
+      'else',
+      '  click notA',
+      'end',
+    ]);
+    expect(run(new SessionPlayer(filePath), [true, false])).toEqual(['if verify-text A', 'if verify-text B', 'click notB']);
+    expect(run(new SessionPlayer(filePath), [false])).toEqual(['if verify-text A', 'click notA']);
+  });
+
+  it('repeat runs the body n times', () => {
+    const filePath = writeFile('test.pw', ['repeat 3', '  press ArrowDown', 'end', 'press Enter']);
+    expect(run(new SessionPlayer(filePath))).toEqual([
+      'press ArrowDown', 'press ArrowDown', 'press ArrowDown', 'press Enter',
+    ]);
+  });
+
+  it('repeat 0 skips the body', () => {
+    const filePath = writeFile('test.pw', ['repeat 0', 'press ArrowDown', 'end', 'press Enter']);
+    expect(run(new SessionPlayer(filePath))).toEqual(['press Enter']);
+  });
+
+  it('repeat count can come from a variable', () => {
+    const filePath = writeFile('test.pw', ['repeat ${N}', 'press Tab', 'end']);
+    expect(run(new SessionPlayer(filePath, { vars: { N: '2' } }))).toEqual(['press Tab', 'press Tab']);
+  });
+
+  it('repeat rejects a non-numeric count', () => {
+    const filePath = writeFile('test.pw', ['repeat many', 'press Tab', 'end']);
+    expect(() => run(new SessionPlayer(filePath))).toThrow(`${filePath}:1: "repeat" count must be a non-negative integer`);
+  });
+
+  it('for sets the loop variable for each item', () => {
+    const filePath = writeFile('test.pw', [
+      'for item in "Buy milk" "Walk dog" Deploy',
+      '  fill "What needs to be done?" "${item}"',
+      'end',
+    ]);
+    const vars = {};
+    const player = new SessionPlayer(filePath, { vars });
+    const seen = [];
+    for (let cmd = player.next(); cmd !== null; cmd = player.next()) seen.push(vars.item);
+    expect(seen).toEqual(['Buy milk', 'Walk dog', 'Deploy']);
+  });
+
+  it('for items can come from a variable', () => {
+    const filePath = writeFile('test.pw', ['for u in ${USERS}', 'snapshot', 'end']);
+    const vars = { USERS: 'alice bob' };
+    const player = new SessionPlayer(filePath, { vars });
+    const seen = [];
+    for (let cmd = player.next(); cmd !== null; cmd = player.next()) seen.push(vars.u);
+    expect(seen).toEqual(['alice', 'bob']);
+  });
+
+  it('nested loops restart the inner loop on each outer iteration', () => {
+    const filePath = writeFile('test.pw', ['repeat 2', 'for x in a b', 'click ${x}', 'end', 'press Enter', 'end']);
+    expect(run(new SessionPlayer(filePath))).toEqual([
+      'click ${x}', 'click ${x}', 'press Enter', 'click ${x}', 'click ${x}', 'press Enter',
+    ]);
+  });
+
+  it('if inside a loop is evaluated on every iteration', () => {
+    const filePath = writeFile('test.pw', ['repeat 2', 'if verify-text Next', 'click Next', 'end', 'end']);
+    expect(run(new SessionPlayer(filePath), [true, false])).toEqual([
+      'if verify-text Next', 'click Next', 'if verify-text Next',
+    ]);
+  });
+
+  it('commands lists command and condition lines', () => {
+    const filePath = writeFile('test.pw', ['if verify-text A', 'click A', 'end', 'repeat 2', 'press Tab', 'end']);
+    expect(new SessionPlayer(filePath).commands).toEqual(['verify-text A', 'click A', 'press Tab']);
+  });
+
+  it('reset() clears loop state', () => {
+    const filePath = writeFile('test.pw', ['repeat 2', 'press Tab', 'end']);
+    const player = new SessionPlayer(filePath);
+    player.next();
+    player.reset();
+    expect(run(player)).toEqual(['press Tab', 'press Tab']);
+  });
+
+  it('throws on end without block', () => {
+    const filePath = writeFile('test.pw', ['click e5', 'end']);
+    expect(() => SessionPlayer.compile(filePath)).toThrow(`${filePath}:2: "end" without matching block`);
+  });
+
+  it('throws on else outside if', () => {
+    const filePath = writeFile('test.pw', ['repeat 2', 'else', 'end']);
+    expect(() => SessionPlayer.compile(filePath)).toThrow('"else" without matching "if"');
+  });
+
+  it('throws on a second else', () => {
+    const filePath = writeFile('test.pw', ['if verify-text A', 'else', 'else', 'end']);
+    expect(() => SessionPlayer.compile(filePath)).toThrow(`${filePath}:3: "else" without matching "if"`);
+  });
+
+  it('marks the command after a breakpoint', () => {
+    const filePath = writeFile('test.pw', ['open https://a.com', 'breakpoint', 'click e5', 'snapshot']);
+    const player = new SessionPlayer(filePath);
+    const hits = [];
+    for (let cmd = player.next(); cmd !== null; cmd = player.next()) hits.push([cmd, player.breakpoint?.line ?? null]);
+    expect(hits).toEqual([['open https://a.com', null], ['click e5', 2], ['snapshot', null]]);
+    expect(player.commands).toEqual(['open https://a.com', 'click e5', 'snapshot']);
+    expect(() => SessionPlayer.compile(writeFile('b.pw', ['breakpoint now']))).toThrow('"breakpoint" takes no arguments');
+  });
+
+  it('plays only the lines between from and to', () => {
+    const filePath = writeFile('test.pw', ['open https://a.com', '# login', 'fill e1 bob', 'click e2', 'snapshot']);
+    const seen = [];
+    const player = new SessionPlayer(filePath, { from: 2, to: 4 });
+    for (let cmd = player.next(); cmd !== null; cmd = player.next()) seen.push(cmd);
+    expect(seen).toEqual(['fill e1 bob', 'click e2']);
+    player.reset();
+    expect(player.next()).toBe('fill e1 bob');
+  });
+
+  it('starting inside a block starts at the block', () => {
+    const filePath = writeFile('test.pw', ['open https://a.com', 'for item in a b', '  fill e1 ${item}', 'end', 'snapshot']);
+    const vars = {};
+    const seen = [];
+    const player = new SessionPlayer(filePath, { from: 3, vars });
+    for (let cmd = player.next(); cmd !== null; cmd = player.next()) seen.push(`${cmd} ${vars.item}`);
+    expect(seen).toEqual(['fill e1 ${item} a', 'fill e1 ${item} b', 'snapshot b']);
+  });
+
+  it('rejects a from past the last command, or after to', () => {
+    const filePath = writeFile('test.pw', ['open https://a.com', 'snapshot', '# done']);
+    expect(() => new SessionPlayer(filePath, { from: 3 })).toThrow(`${filePath}: no commands from line 3`);
+    expect(() => new SessionPlayer(filePath, { from: 2, to: 1 })).toThrow('line 2 comes after line 1');
+  });
+
+  it('throws on unclosed blocks', () => {
+    const filePath = writeFile('test.pw', ['click e1', 'repeat 2', 'click e5']);
+    expect(() => SessionPlayer.compile(filePath)).toThrow(`${filePath}:2: "repeat" without matching "end"`);
+  });
+
+  it('throws on malformed headers', () => {
+    expect(() => SessionPlayer.compile(writeFile('a.pw', ['if', 'end']))).toThrow('"if" needs a command to test');
+    expect(() => SessionPlayer.compile(writeFile('b.pw', ['repeat', 'end']))).toThrow('"repeat" needs a count');
+    expect(() => SessionPlayer.compile(writeFile('c.pw', ['for x a b', 'end']))).toThrow('expected "for <name> in <items...>"');
+  });
+});
+
+// ─── SessionPlayer include / call ───────────────────────────────────────────
+
+describe('SessionPlayer include / call', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeFile(name, lines) {
+    const filePath = path.join(tmpDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, lines.join('\n'), 'utf-8');
+    return filePath;
+  }
+
+  function drain(player) {
+    const seen = [];
+    for (let cmd = player.next(); cmd !== null; cmd = player.next()) seen.push(cmd);
+    return seen;
+  }
+
+  it('include inlines the other file', () => {
+    writeFile('login.pw', ['goto https://a.com/login', 'click "Sign in"']);
+    const main = writeFile('main.pw', ['include login.pw', 'verify-text Welcome']);
+    expect(drain(new SessionPlayer(main))).toEqual(['goto https://a.com/login', 'click "Sign in"', 'verify-text Welcome']);
+  });
+
+  it('included steps keep their own file and line', () => {
+    const login = writeFile('login.pw', ['# shared login', 'click "Sign in"']);
+    const main = writeFile('main.pw', ['include login.pw']);
+    const program = SessionPlayer.compile(main);
+    expect(program[0]).toMatchObject({ text: 'click "Sign in"', file: login, line: 2 });
+  });
+
+  it('included steps are placed on the include line of the replayed file', () => {
+    writeFile('steps.pw', ['click "Accept"']);
+    writeFile('login.pw', ['fill e1 bob', 'include steps.pw']);
+    const main = writeFile('main.pw', ['open https://a.com', 'include login.pw', 'snapshot']);
+    expect(SessionPlayer.compile(main).map(SessionPlayer.lineOf)).toEqual([1, 2, 2, 3]);
+    expect(drain(new SessionPlayer(main, { from: 2, to: 2 }))).toEqual(['fill e1 bob', 'click "Accept"']);
+  });
+
+  it('resolves includes relative to the including file', () => {
+    writeFile('shared/steps/accept.pw', ['click "Accept"']);
+    writeFile('shared/login.pw', ['include steps/accept.pw']);
+    const main = writeFile('flows/checkout.pw', ['include ../shared/login.pw']);
+    expect(drain(new SessionPlayer(main))).toEqual(['click "Accept"']);
+  });
+
+  it('call passes parameters and restores them afterwards', () => {
+    writeFile('login.pw', ['fill "Email" ${user}@test.com']);
+    const main = writeFile('main.pw', ['call login.pw user=alice', 'call login.pw user=bob', 'snapshot']);
+    const vars = { user: 'outer' };
+    const player = new SessionPlayer(main, { vars });
+    const seen = [];
+    for (let cmd = player.next(); cmd !== null; cmd = player.next()) seen.push(vars.user);
+    expect(seen).toEqual(['alice', 'bob', 'outer']);
+  });
+
+  it('call parameters are removed when they were not set before', () => {
+    writeFile('login.pw', ['snapshot']);
+    const main = writeFile('main.pw', ['call login.pw "who=alice smith"', 'snapshot']);
+    const vars = {};
+    const player = new SessionPlayer(main, { vars });
+    player.next();
+    expect(vars.who).toBe('alice smith');
+    player.next();
+    player.next();
+    expect(vars).toEqual({});
+  });
+
+  it('call parameter values are interpolated', () => {
+    writeFile('login.pw', ['snapshot']);
+    const main = writeFile('main.pw', ['call login.pw user=${PREFIX}-1']);
+    const vars = { PREFIX: 'qa' };
+    const player = new SessionPlayer(main, { vars });
+    player.next();
+    expect(vars.user).toBe('qa-1');
+  });
+
+  it('included files can be used inside loops', () => {
+    writeFile('add.pw', ['fill "New" ${item}', 'press Enter']);
+    const main = writeFile('main.pw', ['for item in a b', 'include add.pw', 'end']);
+    expect(drain(new SessionPlayer(main))).toEqual(['fill "New" ${item}', 'press Enter', 'fill "New" ${item}', 'press Enter']);
+  });
+
+  it('throws on circular includes', () => {
+    writeFile('a.pw', ['include b.pw']);
+    writeFile('b.pw', ['include a.pw']);
+    expect(() => SessionPlayer.compile(path.join(tmpDir, 'a.pw'))).toThrow('Circular include: a.pw → b.pw → a.pw');
+  });
+
+  it('reports missing includes with the including location', () => {
+    const main = writeFile('main.pw', ['snapshot', 'include missing.pw']);
+    expect(() => SessionPlayer.compile(main)).toThrow(`${main}:2: File not found`);
+  });
+
+  it('rejects parameters on include and malformed call parameters', () => {
+    writeFile('login.pw', ['snapshot']);
+    expect(() => SessionPlayer.compile(writeFile('a.pw', ['include login.pw user=x']))).toThrow('use "call" to pass parameters');
+    expect(() => SessionPlayer.compile(writeFile('b.pw', ['call login.pw alice']))).toThrow('expected name=value, got "alice"');
+    expect(() => SessionPlayer.compile(writeFile('c.pw', ['include']))).toThrow('"include" needs a file');
+  });
+
+  it('blocks must be closed within the same file', () => {
+    writeFile('open.pw', ['repeat 2']);
+    const main = writeFile('main.pw', ['include open.pw', 'end']);
+    expect(() => SessionPlayer.compile(main)).toThrow('"repeat" without matching "end"');
+  });
+});
+
 // ─── SessionManager (state machine) ─────────────────────────────────────────
 
 describe('SessionManager', () => {
@@ -236,6 +591,15 @@ describe('SessionManager', () => {
     expect(mgr.mode).toBe('idle');
   });
 
+  it('remembers the last saved file and exposes recorded commands', () => {
+    expect(mgr.lastSaved).toBeNull();
+    const file = mgr.startRecording(path.join(tmpDir, 'test.pw'));
+    mgr.record('click e5');
+    expect(mgr.recordedCommands).toEqual(['click e5']);
+    mgr.save();
+    expect(mgr.lastSaved).toBe(file);
+  });
+
   it('idle → recording → idle (discard)', () => {
     mgr.startRecording(path.join(tmpDir, 'test.pw'));
     mgr.record('click e5');
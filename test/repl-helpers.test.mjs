@@ -1,85 +1,175 @@
 import { describe, it, expect } from 'vitest';
-import { textToRunCode, filterResponse } from '../src/repl.mjs';
+import path from 'node:path';
+import { verifyToRunCode, parseTimeout, parseArtifactMode, artifactPath, parseBreakpoints, createDebugger, parseLine, wheelToRunCode, filterResponse, responseSection, captureValue, stableRefLine } from '../src/repl.mjs';
+import { textPattern } from '../src/utils.mjs';
+import { minimist } from '../src/resolve.mjs';
 
-// ─── textToRunCode ──────────────────────────────────────────────────────────
+// ─── verifyToRunCode ────────────────────────────────────────────────────────
 
-describe('textToRunCode', () => {
-  it('click generates fallback chain with getByText exact, role, then getByText', () => {
-    const result = textToRunCode('click', 'Submit', []);
-    expect(result._[0]).toBe('run-code');
-    expect(result._[1]).toContain("page.getByText('Submit', { exact: true })");
-    expect(result._[1]).toContain("page.getByRole('button', { name: 'Submit' })");
-    expect(result._[1]).toContain("page.getByRole('link', { name: 'Submit' })");
-    expect(result._[1]).toContain("loc.click()");
+describe('verifyToRunCode', () => {
+  it('checks the URL against a glob, a regex or the exact text', () => {
+    expect(verifyToRunCode('verify-url', ['**/orders/*'])._[1]).toContain("const actual = page.url();");
+    expect(textPattern('**/orders/*', { glob: true }).test('https://shop.test/orders/42')).toBe(true);
+    expect(textPattern('**/orders/*', { glob: true }).test('https://shop.test/orders/42/edit')).toBe(false);
+    expect(textPattern('/dash(board)?/i').test('https://a.com/DASH')).toBe(true);
+    expect(textPattern('a.com?x=1').test('a.com?x=1')).toBe(true);
+    expect(textPattern('a.com').test('abcom')).toBe(false);
   });
 
-  it('dblclick generates fallback chain with getByText exact, role, then getByText', () => {
-    const result = textToRunCode('dblclick', 'Edit', []);
-    expect(result._[1]).toContain("page.getByText('Edit', { exact: true })");
-    expect(result._[1]).toContain("page.getByRole('button', { name: 'Edit' })");
-    expect(result._[1]).toContain("loc.dblclick()");
+  it('checks the title', () => {
+    expect(verifyToRunCode('verify-title', ['Todo', 'App'])._[1])
+      .toContain("const actual = await page.title(); if (!new RegExp('^Todo App$', '').test(actual))");
   });
 
-  it('hover generates fallback chain with getByText exact, role, then getByText', () => {
-    const result = textToRunCode('hover', 'Menu', []);
-    expect(result._[1]).toContain("page.getByText('Menu', { exact: true })");
-    expect(result._[1]).toContain("page.getByRole('button', { name: 'Menu' })");
-    expect(result._[1]).toContain("loc.hover()");
+  it('resolves locator assertion targets like text commands', () => {
+    const code = verifyToRunCode('verify-visible', ['Submit'])._[1];
+    expect(code).toContain("let loc = page.getByText('Submit', { exact: true });");
+    expect(code).toContain("if (await loc.filter({ visible: true }).count() === 0) throw new Error('Not visible: Submit');");
+    expect(verifyToRunCode('verify-hidden', ['testid=spinner'])._[1]).toContain('count() > 0) throw new Error(\'Still visible: testid=spinner\')');
+    expect(verifyToRunCode('verify-checked', ['e5'])._[1]).toContain("let loc = page.locator('aria-ref=e5');");
   });
 
-  it('fill generates getByLabel with fallback chain', () => {
-    const result = textToRunCode('fill', 'Email', ['test@example.com']);
-    expect(result._[1]).toContain("page.getByLabel('Email')");
-    expect(result._[1]).toContain("page.getByPlaceholder('Email')");
-    expect(result._[1]).toContain("loc.fill('test@example.com')");
+  it('checks state, counts, attributes and styles', () => {
+    expect(verifyToRunCode('verify-enabled', ['Save'])._[1]).toContain('if (!(await loc.isEnabled()))');
+    expect(verifyToRunCode('verify-disabled', ['Save'])._[1]).toContain('if (!(await loc.isDisabled()))');
+    expect(verifyToRunCode('verify-count', ['Delete', 3, 'in', 'table'])._[1]).toContain('if (count !== 3)');
+    expect(verifyToRunCode('verify-attribute', ['Menu', 'aria-expanded', 'true'])._[1]).toContain("await loc.getAttribute('aria-expanded');");
+    expect(verifyToRunCode('verify-css', ['Error', 'color', 'rgb(255, 0, 0)'])._[1]).toContain("getComputedStyle(el).getPropertyValue(name).trim(), 'color'");
   });
 
-  it('select generates getByLabel with fallback chain', () => {
-    const result = textToRunCode('select', 'Country', ['US']);
-    expect(result._[1]).toContain("page.getByLabel('Country')");
-    expect(result._[1]).toContain("loc.selectOption('US')");
+  it('retries the check until the timeout passes', () => {
+    const code = verifyToRunCode('verify-text', ['Saved'], { timeout: 3000 })._[1];
+    expect(code).toContain('const deadline = Date.now() + 3000;');
+    expect(code).toContain("    if (await page.getByText('Saved').filter({ visible: true }).count() === 0) throw new Error('Text not found: Saved');");
+    expect(code).toContain('if (Date.now() >= deadline) throw err;');
+    expect(verifyToRunCode('verify-text', ['Saved'])._[1]).toContain('Date.now() + 5000');
   });
 
-  it('check generates listitem fallback then getByLabel', () => {
-    const result = textToRunCode('check', 'Terms', []);
-    expect(result._[1]).toContain("page.getByRole('listitem').filter({ hasText: 'Terms' })");
-    expect(result._[1]).toContain("page.getByLabel('Terms')");
+  it('checks once with a zero timeout', () => {
+    expect(verifyToRunCode('verify-value', ['e5', 'hi'], { timeout: 0 })._[1]).toBe([
+      'async (page) => {',
+      `  const el = page.locator('[aria-ref="e5"]'); const v = await el.inputValue(); if (v !== 'hi') throw new Error('Expected "hi", got "' + v + '"'); return v;`,
+      '}',
+    ].join('\n'));
   });
 
-  it('uncheck generates listitem fallback then getByLabel', () => {
-    const result = textToRunCode('uncheck', 'Newsletter', []);
-    expect(result._[1]).toContain("page.getByRole('listitem').filter({ hasText: 'Newsletter' })");
-    expect(result._[1]).toContain("page.getByLabel('Newsletter')");
+  it('reverses the check with not, and for verify-no-*', () => {
+    expect(verifyToRunCode('verify-no-text', ['Error'], { timeout: 0 })._[1])
+      .toContain("if (!(await page.getByText('Error').filter({ visible: true }).count() === 0)) throw new Error('Text found: Error');");
+    expect(verifyToRunCode('verify-no-element', ['alert', 'Failed'], { timeout: 0 })._[1]).toContain(`throw new Error('Element found: alert "Failed"')`);
+    expect(verifyToRunCode('verify-no-text', ['Error'], { not: true })._[1]).toContain("throw new Error('Text not found: Error')");
+    expect(verifyToRunCode('verify-url', ['**/login'], { not: true })._[1]).toContain("if (new RegExp(");
   });
 
-  it('escapes single quotes in text arg', () => {
-    const result = textToRunCode('click', "Say 'hello'", []);
-    expect(result._[1]).toContain("Say \\'hello\\'");
+  it('keeps the element check when reversing state assertions', () => {
+    const code = verifyToRunCode('verify-enabled', ['Save'], { not: true })._[1];
+    expect(code).toContain("if (await loc.count() === 0) throw new Error('Element not found: Save');");
+    expect(code).toContain("if (await loc.isEnabled()) throw new Error('Enabled: Save');");
+    expect(verifyToRunCode('verify-count', ['Delete', '0'], { not: true })._[1]).toContain("if (!(count !== 0)) throw new Error('Expected other than 0 elements for Delete');");
   });
 
-  it('escapes backslashes in text arg', () => {
-    const result = textToRunCode('click', 'path\\to\\file', []);
-    expect(result._[1]).toContain("path\\\\to\\\\file");
+  it('returns null when arguments are missing', () => {
+    expect(verifyToRunCode('verify-url', [])).toBeNull();
+    expect(verifyToRunCode('verify-count', ['Delete'])).toBeNull();
+    expect(verifyToRunCode('verify-count', ['Delete', 'many'])).toBeNull();
+    expect(verifyToRunCode('verify-attribute', ['Menu', 'href'])).toBeNull();
   });
+});
+
+// ─── parseTimeout ───────────────────────────────────────────────────────────
 
-  it('escapes single quotes in fill value', () => {
-    const result = textToRunCode('fill', 'Name', ["O'Brien"]);
-    expect(result._[1]).toContain("O\\'Brien");
+describe('parseTimeout', () => {
+  it('accepts whole milliseconds', () => {
+    expect(parseTimeout('10000')).toBe(10000);
+    expect(parseTimeout(0)).toBe(0);
   });
 
-  it('returns null for unknown command', () => {
-    expect(textToRunCode('snapshot', 'test', [])).toBeNull();
-    expect(textToRunCode('press', 'Enter', [])).toBeNull();
+  it('rejects anything else', () => {
+    expect(() => parseTimeout('5s')).toThrow('Invalid timeout: 5s (expected milliseconds, e.g. 5000)');
+    expect(() => parseTimeout('-1')).toThrow('Invalid timeout');
   });
+});
 
-  it('wraps code in async function', () => {
-    const result = textToRunCode('click', 'OK', []);
-    expect(result._[1]).toMatch(/^async \(page\) => \{[\s\S]*\}$/);
+// ─── parseArtifactMode / artifactPath ───────────────────────────────────────
+
+describe('parseArtifactMode', () => {
+  it('accepts on and retain-on-failure', () => {
+    expect(parseArtifactMode('trace', 'on')).toBe('on');
+    expect(parseArtifactMode('video', 'retain-on-failure')).toBe('retain-on-failure');
+    expect(parseArtifactMode('trace', undefined)).toBeUndefined();
   });
 
-  it('fill with empty value', () => {
-    const result = textToRunCode('fill', 'Name', []);
-    expect(result._[1]).toContain("loc.fill('')");
+  it('treats a bare flag as on', () => {
+    expect(parseArtifactMode('video', '')).toBe('on');
+    expect(parseArtifactMode('trace', true)).toBe('on');
+    const args = minimist(['test', 'tests/', '--video'], { string: ['video'] });
+    expect(parseArtifactMode('video', args.video)).toBe('on');
+  });
+
+  it('rejects anything else', () => {
+    expect(() => parseArtifactMode('video', 'off')).toThrow('Invalid --video: off (expected on or retain-on-failure)');
+  });
+});
+
+describe('artifactPath', () => {
+  it('puts <name><ext> next to the .pw file', () => {
+    expect(artifactPath('/work/tests/login.pw', '.trace.zip')).toBe(path.join('/work/tests', 'login.trace.zip'));
+    expect(artifactPath('login.pw', '.webm')).toBe(path.resolve('login.webm'));
+  });
+});
+
+// ─── parseBreakpoints / createDebugger ──────────────────────────────────────
+
+describe('parseBreakpoints', () => {
+  it('reads line numbers and file:line, comma-separated or repeated', () => {
+    expect(parseBreakpoints('12')).toEqual([{ line: 12 }]);
+    expect(parseBreakpoints(['3,login.pw:7', '20'])).toEqual([
+      { line: 3 }, { file: path.resolve('login.pw'), line: 7 }, { line: 20 },
+    ]);
+  });
+
+  it('rejects anything else', () => {
+    expect(() => parseBreakpoints('top')).toThrow('Invalid --break-at: top (expected a line number or file:line)');
+    expect(() => parseBreakpoints('0')).toThrow('Invalid --break-at: 0');
+  });
+});
+
+describe('createDebugger', () => {
+  it('is off without --debug or --break-at', () => {
+    expect(createDebugger()).toBeNull();
+  });
+
+  it('stops at the start with --debug alone, otherwise at breakpoints', () => {
+    expect(createDebugger({ debug: true })).toEqual({ breakpoints: [], stopAtStart: true, stepping: false });
+    expect(createDebugger({ breakAt: '12' })).toEqual({ breakpoints: [{ line: 12 }], stopAtStart: false, stepping: false });
+  });
+});
+
+// ─── parseLine ──────────────────────────────────────────────────────────────
+
+describe('parseLine', () => {
+  it('parses line numbers, leaving a missing flag undefined', () => {
+    expect(parseLine('from', '12')).toBe(12);
+    expect(parseLine('to', undefined)).toBeUndefined();
+  });
+
+  it('rejects anything but a positive whole number', () => {
+    expect(() => parseLine('from', 'top')).toThrow('Invalid --from: top (expected a line number)');
+    expect(() => parseLine('to', '0')).toThrow('Invalid --to: 0');
+    expect(() => parseLine('to', '2.5')).toThrow('Invalid --to: 2.5');
+  });
+});
+
+// ─── wheelToRunCode ─────────────────────────────────────────────────────────
+
+describe('wheelToRunCode', () => {
+  it('scrolls horizontally first, like page.mouse.wheel()', () => {
+    expect(wheelToRunCode(['0', '-100'])).toEqual({ _: ['run-code', 'async (page) => { await page.mouse.wheel(0, -100); }'] });
+  });
+
+  it('rejects missing or non-numeric deltas', () => {
+    expect(() => wheelToRunCode(['100'])).toThrow('Usage: mousewheel <dx> <dy>');
+    expect(() => wheelToRunCode(['0', 'down'])).toThrow('Invalid mousewheel delta: down (expected a number)');
   });
 });
 
@@ -130,3 +220,86 @@ describe('filterResponse', () => {
     expect(filterResponse(text)).toBe('OK');
   });
 });
+
+// ─── responseSection ────────────────────────────────────────────────────────
+
+describe('responseSection', () => {
+  it('returns the content of the named section', () => {
+    const text = '### Result\n"Hello"\n### Page\n- Page URL: http://a.com';
+    expect(responseSection(text, 'Result')).toBe('"Hello"');
+    expect(responseSection(text, 'Page')).toBe('- Page URL: http://a.com');
+  });
+
+  it('returns null when the section is missing', () => {
+    expect(responseSection('### Page\nx', 'Result')).toBeNull();
+    expect(responseSection(undefined, 'Result')).toBeNull();
+  });
+});
+
+// ─── captureValue ───────────────────────────────────────────────────────────
+
+describe('captureValue', () => {
+  it('unwraps JSON strings from eval', () => {
+    expect(captureValue('eval', ['document.title'], '### Result\n"My Page"')).toBe('My Page');
+  });
+
+  it('stringifies non-string JSON results', () => {
+    expect(captureValue('eval', ['1 + 1'], '### Result\n2')).toBe('2');
+    expect(captureValue('run-code', [], '### Result\n{"id":7}')).toBe('{"id":7}');
+  });
+
+  it('keeps non-JSON results as-is', () => {
+    expect(captureValue('tab-list', [], '### Result\n- 0: (current) [Home](http://a.com)')).toBe('- 0: (current) [Home](http://a.com)');
+  });
+
+  it('extracts the cookie value from cookie-get', () => {
+    const text = '### Result\nsession=abc123 (domain: a.com, path: /, httpOnly: true, secure: false, sameSite: Lax)';
+    expect(captureValue('cookie-get', ['session'], text)).toBe('abc123');
+  });
+
+  it('extracts the stored value from localstorage-get and sessionstorage-get', () => {
+    expect(captureValue('localstorage-get', ['token'], '### Result\ntoken=x=y')).toBe('x=y');
+    expect(captureValue('sessionstorage-get', ['cart'], '### Result\ncart=[1,2]')).toBe('[1,2]');
+  });
+
+  it('throws when the key was not found', () => {
+    expect(() => captureValue('cookie-get', ['nope'], "### Result\nCookie 'nope' not found")).toThrow("Cookie 'nope' not found");
+    expect(() => captureValue('localstorage-get', ['nope'], "### Result\nlocalStorage key 'nope' not found")).toThrow('not found');
+  });
+
+  it('throws when there is no result', () => {
+    expect(() => captureValue('eval', [], '### Page\nx')).toThrow('returned no result to capture');
+    expect(() => captureValue('run-code', [], '### Result\nnull')).toThrow('returned no result to capture');
+  });
+});
+
+// ─── stableRefLine ──────────────────────────────────────────────────────────
+
+describe('stableRefLine', () => {
+  const ran = (code) => `### Ran Playwright code\n\`\`\`js\n${code}\n\`\`\`\n### Page\n- Page URL: http://a.com`;
+
+  it('replaces the ref with the text the REPL resolves to the same element', () => {
+    expect(stableRefLine('click e21', 'click', ran(`await page.getByText('Buy groceries').click();`)))
+      .toBe('click "Buy groceries"');
+    expect(stableRefLine('fill e8 ${TODO}', 'fill', ran(`await page.getByLabel('What needs to be done?').fill('Milk');`)))
+      .toBe('fill "What needs to be done?" ${TODO}');
+  });
+
+  it('uses an explicit locator when text would find something else', () => {
+    expect(stableRefLine('click e5', 'click', ran(`await page.getByRole('menuitem', { name: 'Open file' }).click();`)))
+      .toBe('click role=menuitem[name="Open file"]');
+    expect(stableRefLine('click e21', 'click', ran(`await page.getByRole('button', { name: 'Buy groceries' }).click();`)))
+      .toBe('click role=button[name="Buy groceries"]');
+    expect(stableRefLine('fill e9 x', 'fill', ran(`await page.getByTestId('email').fill('x');`)))
+      .toBe('fill testid=email x');
+  });
+
+  it('keeps chained locators as run-code', () => {
+    expect(stableRefLine('check e5', 'check', ran(`await page.getByRole('listitem').filter({ hasText: 'Milk' }).getByRole('checkbox').check();`)))
+      .toBe(`run-code "async (page) => { await page.getByRole('listitem').filter({ hasText: 'Milk' }).getByRole('checkbox').check(); }"`);
+  });
+
+  it('returns null without generated code', () => {
+    expect(stableRefLine('click e5', 'click', '### Page\n- Page URL: http://a.com')).toBeNull();
+  });
+});
@@ -20,6 +20,8 @@ import {
   handleClose,
   startCommandLoop,
   runReplayMode,
+  lastFailure,
+  createDebugger,
 } from '../src/repl.mjs';
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
@@ -37,6 +39,7 @@ function makeCtx(overrides = {}) {
     rl: null,
     sessionName: 'test',
     log: vi.fn(),
+    vars: {},
     historyFile: path.join(os.tmpdir(), 'pw-test-history-' + Date.now()),
     commandCount: 0,
     ...overrides,
@@ -291,6 +294,53 @@ describe('startCommandLoop', () => {
     exitSpy.mockRestore();
   });
 
+  it('piped input stops at the first failure and exits with 1', async () => {
+    const rl = makeRl();
+    const ctx = makeCtx({ rl, piped: true });
+    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce({ text: '### Result\nOK' })
+      .mockResolvedValueOnce({ isError: true, text: '### Error\nElement not found' })
+      .mockResolvedValue({ text: '### Result\nOK' });
+    startCommandLoop(ctx);
+
+    rl.emit('line', 'snapshot');
+    rl.emit('line', 'click e99');
+    rl.emit('line', 'click e5');
+    await new Promise(r => setTimeout(r, 100));
+
+    expect(ctx.conn.run).toHaveBeenCalledTimes(2);
+    expect(errorSpy.mock.calls.map(c => c.join(' ')).join('\n')).toContain('<stdin>:2');
+    expect(exitSpy).toHaveBeenCalledWith(1);
+    exitSpy.mockRestore();
+  });
+
+  it('piped input skips the header and comments of a recorded file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-piped-'));
+    const recorder = new SessionManager();
+    recorder.startRecording(path.join(dir, 'recorded.pw'));
+    recorder.record('snapshot');
+    recorder.record('click e5');
+    const { filename } = recorder.save();
+
+    const rl = makeRl();
+    const ctx = makeCtx({ rl, piped: true });
+    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+    startCommandLoop(ctx);
+    const lines = fs.readFileSync(filename, 'utf-8').split('\n');
+    expect(lines[0]).toMatch(/^# /);
+    for (const line of lines) rl.emit('line', line);
+    rl.emit('line', '# a note');
+    rl.emit('close');
+    await new Promise(r => setTimeout(r, 100));
+
+    expect(ctx.conn.run.mock.calls.map(call => call[0]._[0])).toEqual(['snapshot', 'click']);
+    expect(exitSpy).toHaveBeenCalledWith(0);
+    expect(exitSpy).not.toHaveBeenCalledWith(1);
+    exitSpy.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
   it('handles SIGINT — prints message on first, exits on double', async () => {
     const rl = makeRl();
     const ctx = makeCtx({ rl });
@@ -350,6 +400,213 @@ describe('runReplayMode', () => {
     expect(exitSpy).toHaveBeenCalledWith(1);
   });
 
+  it('stops at the first failing command and exits with 1', async () => {
+    const filePath = path.join(tmpDir, 'fail.pw');
+    fs.writeFileSync(filePath, 'snapshot\nverify-text "Welcome"\nclick e5\n', 'utf-8');
+
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce({ text: '### Result\nOK' })
+      .mockResolvedValueOnce({ isError: true, text: '### Error\nText not found: Welcome' })
+      .mockResolvedValue({ text: '### Result\nOK' });
+
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run).toHaveBeenCalledTimes(2);
+    const errors = errorSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(errors).toContain('fail.pw:2');
+    expect(errors).toContain('verify-text "Welcome"');
+    expect(logSpy.mock.calls.map(c => c.join(' ')).join('\n')).not.toContain('Replay complete');
+    expect(exitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('--continue-on-error runs every command and reports all failures', async () => {
+    const filePath = path.join(tmpDir, 'fail.pw');
+    fs.writeFileSync(filePath, 'verify-text "A"\nsnapshot\nverify-text "B"\n', 'utf-8');
+
+    const ctx = makeCtx({ continueOnError: true });
+    ctx.conn.run = vi.fn().mockImplementation(async (args) => args._[0] === 'run-code'
+      ? { isError: true, text: '### Error\nText not found' }
+      : { text: '### Result\nOK' });
+
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run).toHaveBeenCalledTimes(3);
+    const errors = errorSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(errors).toContain('2 failed commands');
+    expect(errors).toContain('fail.pw:1');
+    expect(errors).toContain('fail.pw:3');
+    expect(exitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('keeps going after soft assertions and reports them at the end', async () => {
+    const filePath = path.join(tmpDir, 'soft.pw');
+    fs.writeFileSync(filePath, 'soft verify-text "A"\nsnapshot\nsoft verify-no-text "B"\nsnapshot\n', 'utf-8');
+
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockImplementation(async (args) => args._[0] === 'run-code'
+      ? { isError: true, text: '### Error\nText not found' }
+      : { text: '### Result\nOK' });
+
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run).toHaveBeenCalledTimes(4);
+    const errors = errorSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(errors).toContain('2 soft assertions failed');
+    expect(errors).toContain('soft.pw:3  soft verify-no-text "B"');
+    expect(errors).not.toContain('Stopped at');
+    expect(exitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('writes configured reports for the replayed file', async () => {
+    const filePath = path.join(tmpDir, 'fail.pw');
+    const reportFile = path.join(tmpDir, 'out.json');
+    fs.writeFileSync(filePath, 'snapshot\nverify-text "Welcome"\n', 'utf-8');
+
+    const ctx = makeCtx({ reporters: [{ type: 'json', file: reportFile }] });
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce({ text: '### Result\nOK' })
+      .mockResolvedValueOnce({ isError: true, text: '### Error\nText not found: Welcome' });
+
+    await runReplayMode(ctx, filePath, false);
+
+    const report = JSON.parse(fs.readFileSync(reportFile, 'utf-8'));
+    expect(report.files[0].failures).toEqual([
+      { file: filePath, line: 2, command: 'verify-text "Welcome"', error: 'Text not found: Welcome' },
+    ]);
+    expect(exitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('--trace on saves <name>.trace.zip next to the file', async () => {
+    const filePath = path.join(tmpDir, 'login.pw');
+    const reportFile = path.join(tmpDir, 'out.json');
+    fs.writeFileSync(filePath, 'snapshot\n', 'utf-8');
+
+    const ctx = makeCtx({ trace: 'on', reporters: [{ type: 'json', file: reportFile }] });
+    await runReplayMode(ctx, filePath, false);
+
+    const calls = ctx.conn.run.mock.calls.map(call => call[0]._);
+    expect(calls[0][1]).toBe(`async (page) => { await page.context().tracing.start({ title: "login.pw", screenshots: true, snapshots: true }); }`);
+    expect(calls[1]).toEqual(['snapshot']);
+    expect(calls[2][1]).toBe(`async (page) => { await page.context().tracing.stop({ path: ${JSON.stringify(path.join(tmpDir, 'login.trace.zip'))} }); }`);
+    expect(logSpy.mock.calls.map(c => c.join(' ')).join('\n')).toContain('npx playwright show-trace');
+    expect(JSON.parse(fs.readFileSync(reportFile, 'utf-8')).files[0].trace).toBe(path.join(tmpDir, 'login.trace.zip'));
+    expect(exitSpy).toHaveBeenCalledWith(0);
+  });
+
+  it('--trace retain-on-failure drops the trace of a passing file', async () => {
+    const filePath = path.join(tmpDir, 'login.pw');
+    fs.writeFileSync(filePath, 'snapshot\n', 'utf-8');
+
+    const ctx = makeCtx({ trace: 'retain-on-failure' });
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run.mock.calls[2][0]._[1]).toBe('async (page) => { await page.context().tracing.stop(); }');
+    expect(exitSpy).toHaveBeenCalledWith(0);
+  });
+
+  it('--trace retain-on-failure keeps the trace of a failing file', async () => {
+    const filePath = path.join(tmpDir, 'fail.pw');
+    fs.writeFileSync(filePath, 'verify-text "Welcome"\n', 'utf-8');
+
+    const ctx = makeCtx({ trace: 'retain-on-failure', timeout: 0 });
+    ctx.conn.run = vi.fn().mockImplementation(async (args) => args._[1].includes('Welcome')
+      ? { isError: true, text: '### Error\nText not found: Welcome' }
+      : { text: '### Result\nundefined' });
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run.mock.calls.at(-1)[0]._[1]).toContain('fail.trace.zip');
+    expect(exitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('stops the trace and remembers the failure when a step cannot run', async () => {
+    const filePath = path.join(tmpDir, 'loop.pw');
+    fs.writeFileSync(filePath, 'snapshot\nrepeat ${N}\n  snapshot\nend\n', 'utf-8');
+
+    const ctx = makeCtx({ trace: 'on', failuresFile: path.join(tmpDir, 'failures.json') });
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run.mock.calls.at(-1)[0]._[1]).toContain('tracing.stop({ path:');
+    expect(lastFailure(ctx, filePath)).toMatchObject({ line: 2, command: 'repeat ${N}' });
+    expect(errorSpy.mock.calls.map(c => c.join(' ')).join('\n')).toContain('Undefined variable');
+    expect(exitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('replays without a trace when tracing cannot start', async () => {
+    const filePath = path.join(tmpDir, 'login.pw');
+    fs.writeFileSync(filePath, 'snapshot\n', 'utf-8');
+
+    const ctx = makeCtx({ trace: 'on' });
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce({ isError: true, text: '### Error\nTracing has been already started' })
+      .mockResolvedValue({ text: '### Result\nOK' });
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run).toHaveBeenCalledTimes(2);
+    expect(logSpy.mock.calls.map(c => c.join(' ')).join('\n')).toContain('Could not start tracing: Tracing has been already started');
+    expect(exitSpy).toHaveBeenCalledWith(0);
+  });
+
+  it('--video on saves <name>.webm next to the file', async () => {
+    const filePath = path.join(tmpDir, 'smoke.pw');
+    const video = path.join(tmpDir, 'smoke.webm');
+    fs.writeFileSync(filePath, 'snapshot\n', 'utf-8');
+
+    const ctx = makeCtx({ video: 'on' });
+    ctx.conn.run = vi.fn().mockImplementation(async (args) => {
+      if (args._[0] === 'video-stop') fs.writeFileSync(args.filename, '');
+      return { text: '### Result\nOK' };
+    });
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run.mock.calls.map(call => call[0])).toEqual([
+      { _: ['video-start'] },
+      { _: ['snapshot'] },
+      { _: ['video-stop'], filename: video },
+    ]);
+    expect(logSpy.mock.calls.map(c => c.join(' ')).join('\n')).toContain('Video saved to');
+    expect(fs.existsSync(video)).toBe(true);
+  });
+
+  it('stops the video when a step cannot run', async () => {
+    const filePath = path.join(tmpDir, 'loop.pw');
+    const video = path.join(tmpDir, 'loop.webm');
+    fs.writeFileSync(filePath, 'repeat ${N}\n  snapshot\nend\n', 'utf-8');
+
+    const ctx = makeCtx({ video: 'retain-on-failure' });
+    ctx.conn.run = vi.fn().mockImplementation(async (args) => {
+      if (args._[0] === 'video-stop') fs.writeFileSync(args.filename, '');
+      return { text: '### Result\nOK' };
+    });
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run.mock.calls.map(call => call[0])).toEqual([
+      { _: ['video-start'] },
+      { _: ['video-stop'], filename: video },
+    ]);
+    expect(fs.existsSync(video)).toBe(true);
+    expect(exitSpy).toHaveBeenCalledWith(1);
+  });
+
+  it('--video retain-on-failure deletes the videos of a passing file', async () => {
+    const filePath = path.join(tmpDir, 'smoke.pw');
+    fs.writeFileSync(filePath, 'snapshot\n', 'utf-8');
+    fs.writeFileSync(path.join(tmpDir, 'smoke-old.webm'), '');
+
+    const ctx = makeCtx({ video: 'retain-on-failure' });
+    ctx.conn.run = vi.fn().mockImplementation(async (args) => {
+      if (args._[0] === 'video-stop') {
+        fs.writeFileSync(args.filename, '');
+        fs.writeFileSync(args.filename.replace('.webm', '-1.webm'), '');
+      }
+      return { text: '### Result\nOK' };
+    });
+    await runReplayMode(ctx, filePath, false);
+
+    expect(fs.readdirSync(tmpDir).sort()).toEqual(['smoke-old.webm', 'smoke.pw']);
+    expect(exitSpy).toHaveBeenCalledWith(0);
+  });
+
   it('step-through mode waits for stdin between commands', async () => {
     const filePath = path.join(tmpDir, 'step.pw');
     fs.writeFileSync(filePath, 'snapshot\nclick e5\n', 'utf-8');
@@ -379,6 +636,129 @@ describe('runReplayMode', () => {
     process.stdin.once.mockRestore?.();
   });
 
+  describe('debugger', () => {
+    // Answer debugger prompts in order; the prompts are collected in `asked`
+    function makeDebugCtx(answers, debug) {
+      const asked = [];
+      const ctx = makeCtx({ debug, rl: { question: vi.fn((prompt, cb) => { asked.push(prompt); cb(answers.shift()); }) } });
+      return { ctx, asked };
+    }
+
+    it('stops at breakpoint lines and --break-at, and runs commands while paused', async () => {
+      const filePath = path.join(tmpDir, 'debug.pw');
+      fs.writeFileSync(filePath, 'goto https://example.com\nbreakpoint\nclick e5\nclick e6\nclick e7\n', 'utf-8');
+
+      const { ctx, asked } = makeDebugCtx(['snapshot', 'c', 'c'], createDebugger({ breakAt: '5' }));
+      await runReplayMode(ctx, filePath, false);
+
+      expect(asked).toHaveLength(3);
+      expect(ctx.conn.run.mock.calls.map(call => call[0]._.join(' '))).toEqual([
+        'goto https://example.com', 'snapshot', 'click e5', 'click e6', 'click e7',
+      ]);
+      const logs = logSpy.mock.calls.map(c => c.join(' ')).join('\n');
+      expect(logs).toContain('debug.pw:3');
+      expect(logs).toContain('debug.pw:5');
+      expect(exitSpy).toHaveBeenCalledWith(0);
+    });
+
+    it('--debug steps from the first command, and skips or quits on request', async () => {
+      const filePath = path.join(tmpDir, 'debug.pw');
+      fs.writeFileSync(filePath, 'click e5\nclick e6\nclick e7\n', 'utf-8');
+
+      const { ctx } = makeDebugCtx(['n', 'skip', 'q'], createDebugger({ debug: true }));
+      await runReplayMode(ctx, filePath, false);
+
+      expect(ctx.conn.run.mock.calls.map(call => call[0]._.join(' '))).toEqual(['click e5']);
+      expect(errorSpy.mock.calls.map(c => c.join(' ')).join('\n')).toContain('Replay stopped in the debugger');
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  it('--from and --to replay part of the file', async () => {
+    const filePath = path.join(tmpDir, 'range.pw');
+    fs.writeFileSync(filePath, 'goto https://example.com\nclick e5\nclick e6\nclick e7\n', 'utf-8');
+
+    const ctx = makeCtx();
+    await runReplayMode(ctx, filePath, false, { from: 2, to: 3 });
+
+    expect(ctx.conn.run.mock.calls.map(call => call[0]._.join(' '))).toEqual(['click e5', 'click e6']);
+    expect(exitSpy).toHaveBeenCalledWith(0);
+  });
+
+  describe('failure positions', () => {
+    it('stores where a replay failed, on the include line for included commands', async () => {
+      fs.writeFileSync(path.join(tmpDir, 'login.pw'), 'fill e1 bob\nclick e2\n', 'utf-8');
+      const filePath = path.join(tmpDir, 'main.pw');
+      fs.writeFileSync(filePath, 'goto https://example.com\ninclude login.pw\nsnapshot\n', 'utf-8');
+
+      const ctx = makeCtx({ failuresFile: path.join(tmpDir, 'profiles', '.replay-failures.json') });
+      ctx.conn.run = vi.fn().mockImplementation(async (args) => args._[0] === 'click'
+        ? { isError: true, text: '### Error\nElement not found' }
+        : { text: '### Result\nOK' });
+      await runReplayMode(ctx, filePath, false);
+
+      expect(lastFailure(ctx, filePath)).toMatchObject({ line: 2, command: 'click e2' });
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+
+    it('forgets the failure once the replay covering it passes', async () => {
+      const filePath = path.join(tmpDir, 'flaky.pw');
+      fs.writeFileSync(filePath, 'goto https://example.com\nclick e5\nclick e6\n', 'utf-8');
+      const ctx = makeCtx({ failuresFile: path.join(tmpDir, '.replay-failures.json') });
+      fs.writeFileSync(ctx.failuresFile, JSON.stringify({ [filePath]: { line: 3, command: 'click e6' } }));
+
+      await runReplayMode(ctx, filePath, false, { to: 2 });
+      expect(lastFailure(ctx, filePath)).toMatchObject({ line: 3 });
+
+      await runReplayMode(ctx, filePath, false, { from: 3 });
+      expect(lastFailure(ctx, filePath)).toBeUndefined();
+    });
+  });
+
+  it('runs if blocks based on the condition outcome', async () => {
+    const filePath = path.join(tmpDir, 'if.pw');
+    fs.writeFileSync(filePath, [
+      'if verify-text "Accept cookies"',
+      '  click "Accept cookies"',
+      'end',
+      'snapshot',
+    ].join('\n'), 'utf-8');
+
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce({ isError: true, text: '### Error\nText not found: Accept cookies' })
+      .mockResolvedValue({ text: '### Result\nOK' });
+
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run).toHaveBeenCalledTimes(2);
+    expect(ctx.conn.run.mock.calls[1][0]._).toEqual(['snapshot']);
+    // The failed condition is not printed as command output
+    const output = logSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(output).not.toContain('Text not found');
+    expect(exitSpy).toHaveBeenCalledWith(0);
+  });
+
+  it('runs for loops with the loop variable interpolated', async () => {
+    const filePath = path.join(tmpDir, 'for.pw');
+    fs.writeFileSync(filePath, 'for item in "Buy milk" Deploy\n  goto "http://a.com/${item}"\nend\n', 'utf-8');
+
+    const ctx = makeCtx();
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run.mock.calls.map(c => c[0]._[1])).toEqual(['http://a.com/Buy milk', 'http://a.com/Deploy']);
+  });
+
+  it('runs repeat blocks', async () => {
+    const filePath = path.join(tmpDir, 'repeat.pw');
+    fs.writeFileSync(filePath, 'repeat 3\n  press ArrowDown\nend\n', 'utf-8');
+
+    const ctx = makeCtx();
+    await runReplayMode(ctx, filePath, false);
+
+    expect(ctx.conn.run).toHaveBeenCalledTimes(3);
+  });
+
   it('records session mode as replaying during replay', async () => {
     const filePath = path.join(tmpDir, 'test.pw');
     // Need 2+ commands so the player isn't done when the first command runs
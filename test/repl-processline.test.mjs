@@ -1,4 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { createRequire } from 'node:module';
 import { SessionManager } from '../src/recorder.mjs';
 import {
   processLine,
@@ -28,6 +32,7 @@ function makeCtx(overrides = {}) {
     },
     sessionName: 'test-session',
     log: vi.fn(),
+    vars: {},
     historyFile: '/tmp/test-history',
     commandCount: 0,
     ...overrides,
@@ -226,6 +231,38 @@ describe('handleSessionCommand', () => {
     expect(result).toBe(false);
   });
 
+  it('.export writes the current recording as a spec', () => {
+    const ctx = makeCtx();
+    const out = path.join(os.tmpdir(), `pw-export-${Date.now()}`, 'todo.spec.ts');
+    ctx.session.startRecording('/tmp/todo.pw');
+    ctx.session.record('goto https://demo.playwright.dev/todomvc/');
+    ctx.session.record('verify-text "What needs to be done?"');
+    handleSessionCommand(ctx, `.export ${out}`);
+    const spec = fs.readFileSync(out, 'utf-8');
+    expect(spec).toContain(`test('todo', async ({ page }) => {`);
+    expect(spec).toContain(`await page.goto('https://demo.playwright.dev/todomvc/');`);
+    // Still recording
+    expect(ctx.session.mode).toBe('recording');
+    fs.rmSync(path.dirname(out), { recursive: true, force: true });
+  });
+
+  it('.export falls back to the last saved session', () => {
+    const ctx = makeCtx();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-export-'));
+    ctx.session.startRecording(path.join(dir, 'saved.pw'));
+    ctx.session.record('press Enter');
+    ctx.session.save();
+    handleSessionCommand(ctx, `.export ${path.join(dir, 'saved.spec.ts')}`);
+    expect(fs.readFileSync(path.join(dir, 'saved.spec.ts'), 'utf-8')).toContain(`await page.keyboard.press('Enter');`);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('.export throws when there is nothing to export', () => {
+    const ctx = makeCtx();
+    expect(() => handleSessionCommand(ctx, '.export out.spec.ts')).toThrow('Nothing to export');
+    expect(() => handleSessionCommand(ctx, '.export')).toThrow('Usage: .export');
+  });
+
   it('.save throws when not recording (caught by processLine)', () => {
     const ctx = makeCtx();
     expect(() => handleSessionCommand(ctx, '.save')).toThrow('Not recording');
@@ -303,6 +340,18 @@ describe('processLine', () => {
     expect(ctx.commandCount).toBe(1);
   });
 
+  it('sends low-level mouse and keyboard commands to the daemon', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'keydown Shift');
+    await processLine(ctx, 'mm 120 80');
+    await processLine(ctx, 'mousewheel 0 -100');
+    expect(ctx.conn.run.mock.calls.map(call => call[0])).toEqual([
+      { _: ['keydown', 'Shift'] },
+      { _: ['mousemove', '120', '80'] },
+      { _: ['run-code', 'async (page) => { await page.mouse.wheel(0, -100); }'] },
+    ]);
+  });
+
   it('prints filtered daemon response', async () => {
     const ctx = makeCtx();
     ctx.conn.run = vi.fn().mockResolvedValue({ text: '### Result\nClicked element' });
@@ -335,6 +384,80 @@ describe('processLine', () => {
     expect(call._[1]).toContain("loc.fill('test@x.com')");
   });
 
+  it('translates explicit locators straight to Playwright locators', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'click role=button[name="Save draft"]');
+    const call = ctx.conn.run.mock.calls[0][0];
+    expect(call._[0]).toBe('run-code');
+    expect(call._[1]).toContain("await page.getByRole('button', { name: 'Save draft' }).click();");
+    expect(call._[1]).not.toContain('getByText');
+  });
+
+  it('scopes text locators with in / within / nth=', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'click "Edit" nth=2 within dialog "New user"');
+    const call = ctx.conn.run.mock.calls[0][0];
+    expect(call._[1]).toContain("const scope = page.getByRole('dialog').filter({ hasText: 'New user' });");
+    expect(call._[1]).toContain('await loc.nth(2).click();');
+  });
+
+  it('explains which strategies a failing text locator tried', async () => {
+    const ctx = makeCtx();
+    const report = [
+      { strategy: 'exact text', locator: "getByText('Save', { exact: true })", count: 2, candidates: ['button "Save"', 'link "Save"'] },
+    ];
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce({ isError: true, text: '### Error\nstrict mode violation' })
+      .mockResolvedValueOnce({ text: `### Result\n${JSON.stringify(report)}` });
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = await processLine(ctx, 'click Save');
+    expect(error).toBe('strict mode violation');
+    expect(ctx.conn.run.mock.calls[1][0]._[1]).toContain('ariaSnapshot');
+    const output = logSpy.mock.calls.flat().join('\n');
+    expect(output).toContain('is ambiguous');
+    expect(output).toContain('click role=link[name="Save"]');
+    logSpy.mockRestore();
+  });
+
+  it('targets press, type and upload at a text locator when given one', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'press "Search" Enter');
+    await processLine(ctx, 'type "Comment" "hello" --submit');
+    await processLine(ctx, 'upload "Avatar" ./a.png');
+    const [press, type, upload] = ctx.conn.run.mock.calls.map(call => call[0]);
+    expect(press._[1]).toContain("await loc.press('Enter');");
+    expect(type._[1]).toContain("await loc.press('Enter');");
+    expect(upload._[1]).toContain(`const files = ['${path.resolve('a.png')}'];`);
+  });
+
+  it('resolves upload paths against the .pw file being replayed', async () => {
+    const ctx = makeCtx();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-upload-'));
+    const file = path.join(dir, 'avatar.pw');
+    fs.writeFileSync(file, 'upload "Avatar" ./a.png\n');
+    const player = ctx.session.startReplay(file);
+    await processLine(ctx, player.next());
+    expect(ctx.conn.run.mock.calls[0][0]._[1]).toContain(`const files = ['${path.join(dir, 'a.png')}'];`);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps keyboard press / type and ref drags as daemon commands', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'press Enter');
+    await processLine(ctx, 'type "hello world"');
+    await processLine(ctx, 'drag e3 e7');
+    await processLine(ctx, 'drag "Card A" e7');
+    const sent = ctx.conn.run.mock.calls.map(call => call[0]._[0]);
+    expect(sent).toEqual(['press', 'type', 'drag', 'run-code']);
+  });
+
+  it('reports malformed explicit locators without sending', async () => {
+    const ctx = makeCtx();
+    const error = await processLine(ctx, 'click role=button[pressed=yes]');
+    expect(error).toContain('pressed must be true or false');
+    expect(ctx.conn.run).not.toHaveBeenCalled();
+  });
+
   it('does NOT auto-resolve ref-style args (e5)', async () => {
     const ctx = makeCtx();
     await processLine(ctx, 'click e5');
@@ -350,6 +473,44 @@ describe('processLine', () => {
     expect(ctx.session.recordedCount).toBe(1);
   });
 
+  it('records refs by the locator the daemon resolved', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue({
+      text: "### Ran Playwright code\n```js\nawait page.getByRole('link', { name: 'Active' }).click();\n```",
+    });
+    ctx.session.startRecording('/tmp/test.pw');
+    await processLine(ctx, 'click e21');
+    expect(ctx.session.recordedCommands).toEqual(['click role=link[name="Active"]']);
+  });
+
+  it('records refs as typed, with a warning, when no locator is reported', async () => {
+    const ctx = makeCtx();
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    ctx.session.startRecording('/tmp/test.pw');
+    await processLine(ctx, 'click e21');
+    expect(ctx.session.recordedCommands).toEqual(['click e21']);
+    expect(logSpy.mock.calls.flat().join('\n')).toContain('Recorded e21 as typed');
+    logSpy.mockRestore();
+  });
+
+  it('warns when recording press, type, upload and drag on refs', async () => {
+    const ctx = makeCtx();
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    ctx.session.startRecording('/tmp/test.pw');
+    await processLine(ctx, 'press e5 Enter');
+    await processLine(ctx, 'type e5 hello');
+    await processLine(ctx, 'upload e7 a.txt');
+    await processLine(ctx, 'drag e1 "Done"');
+    await processLine(ctx, 'press Enter');
+    expect(ctx.session.recordedCommands).toEqual(['press e5 Enter', 'type e5 hello', 'upload e7 a.txt', 'drag e1 "Done"', 'press Enter']);
+    const output = logSpy.mock.calls.flat().join('\n');
+    expect(output).toContain('Recorded e5 as typed');
+    expect(output).toContain('Recorded e7 as typed');
+    expect(output).toContain('Recorded e1 as typed');
+    expect(output.match(/as typed/g)).toHaveLength(4);
+    logSpy.mockRestore();
+  });
+
   it('handles daemon error and attempts reconnect', async () => {
     const ctx = makeCtx();
     ctx.conn.run = vi.fn().mockRejectedValue(new Error('timeout'));
@@ -368,6 +529,11 @@ describe('processLine', () => {
     expect(ctx.session.mode).toBe('idle');
   });
 
+  it('reports .export errors', async () => {
+    const ctx = makeCtx();
+    expect(await processLine(ctx, '.export out.spec.ts')).toContain('Nothing to export');
+  });
+
   it('shows error for .save when not recording', async () => {
     const ctx = makeCtx();
     await processLine(ctx, '.save');
@@ -424,6 +590,34 @@ describe('processLine', () => {
     fs.rmSync(tmpDir, { recursive: true, force: true });
   });
 
+  it('.replay --from-failure resumes where the last replay failed', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-replay-test-'));
+    const filePath = path.join(tmpDir, 'test.pw');
+    fs.writeFileSync(filePath, 'goto https://example.com\nclick e5\nclick e6\n', 'utf-8');
+    const ctx = makeCtx({ failuresFile: path.join(tmpDir, '.replay-failures.json') });
+
+    await processLine(ctx, `.replay ${filePath} --from-failure`);
+    expect(ctx.conn.run).toHaveBeenCalledTimes(3);
+    expect(logSpy.mock.calls.map(c => c.join(' ')).join('\n')).toContain('No failure recorded');
+
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce({ text: '### Result\nOK' })
+      .mockResolvedValueOnce({ isError: true, text: '### Error\nElement not found' });
+    await processLine(ctx, `.replay ${filePath}`);
+
+    ctx.conn.run = vi.fn().mockResolvedValue({ text: '### Result\nOK' });
+    await processLine(ctx, `.replay ${filePath} --from-failure`);
+    expect(ctx.conn.run.mock.calls.map(call => call[0]._.join(' '))).toEqual(['click e5', 'click e6']);
+    expect(logSpy.mock.calls.map(c => c.join(' ')).join('\n')).toContain('Resuming at line 2 (click e5)');
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('.replay rejects an invalid --from', async () => {
+    const ctx = makeCtx();
+    expect(await processLine(ctx, '.replay test.pw --from top')).toBe('Invalid --from: top (expected a line number)');
+  });
+
   it('.replay handles errors gracefully', async () => {
     const ctx = makeCtx();
     await processLine(ctx, '.replay /nonexistent/file.pw');
@@ -496,6 +690,75 @@ describe('processLine', () => {
     expect(ctx.conn.run).toHaveBeenCalled();
   });
 
+  it('accepts the locator assertions with text targets', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'verify-count "Delete" 3 in listitem "Buy milk"');
+    const call = ctx.conn.run.mock.calls[0][0];
+    expect(call._[0]).toBe('run-code');
+    expect(call._[1]).toContain("const scope = page.getByRole('listitem').filter({ hasText: 'Buy milk' });");
+    expect(call._[1]).toContain('if (count !== 3)');
+  });
+
+  it('retries assertions for the --timeout, .set timeout, or default timeout', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'verify-text Saved');
+    expect(ctx.conn.run.mock.calls[0][0]._[1]).toContain('Date.now() + 5000;');
+    await processLine(ctx, '.set timeout 10000');
+    expect(ctx.timeout).toBe(10000);
+    await processLine(ctx, 'verify-text Saved');
+    expect(ctx.conn.run.mock.calls[1][0]._[1]).toContain('Date.now() + 10000;');
+    await processLine(ctx, 'verify-text Saved --timeout 2000');
+    expect(ctx.conn.run.mock.calls[2][0]).toEqual({ _: ['run-code', expect.stringContaining('Date.now() + 2000;')] });
+  });
+
+  it('checks if conditions once unless they pass --timeout', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'verify-text Saved', { quiet: true });
+    expect(ctx.conn.run.mock.calls[0][0]._[1]).not.toContain('deadline');
+    await processLine(ctx, 'verify-text Saved --timeout 2000', { quiet: true });
+    expect(ctx.conn.run.mock.calls[1][0]._[1]).toContain('Date.now() + 2000;');
+  });
+
+  it('rejects an invalid timeout without sending', async () => {
+    const ctx = makeCtx();
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    expect(await processLine(ctx, 'verify-text Saved --timeout soon')).toContain('Invalid timeout: soon');
+    expect(await processLine(ctx, '.set timeout soon')).toContain('Invalid timeout: soon');
+    expect(await processLine(ctx, '.set retries 3')).toBe('Unknown setting: retries (available: timeout)');
+    expect(ctx.conn.run).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+    logSpy.mockRestore();
+  });
+
+  it('reverses assertions with --not', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'verify-visible --not "Error banner"');
+    const code = ctx.conn.run.mock.calls[0][0]._[1];
+    expect(code).toContain("getByText('Error banner', { exact: true })");
+    expect(code).toContain("throw new Error('Visible: Error banner')");
+    await processLine(ctx, 'verify-no-text "Error banner" --not');
+    expect(ctx.conn.run.mock.calls[1][0]._[1]).toContain("throw new Error('Text not found: Error banner')");
+  });
+
+  it('runs soft assertions and rejects soft for other commands', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'soft verify-text Saved');
+    expect(ctx.conn.run.mock.calls[0][0]._[0]).toBe('run-code');
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    expect(await processLine(ctx, 'soft click Save')).toBe('"soft" only applies to verify-* commands');
+    expect(ctx.conn.run).toHaveBeenCalledTimes(1);
+    logSpy.mockRestore();
+  });
+
+  it('prints usage for an incomplete assertion', async () => {
+    const ctx = makeCtx();
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    expect(await processLine(ctx, 'verify-attribute "Menu"')).toBe('Usage: verify-attribute <args>');
+    expect(ctx.conn.run).not.toHaveBeenCalled();
+    logSpy.mockRestore();
+  });
+
   it('auto-resolves text for dblclick', async () => {
     const ctx = makeCtx();
     await processLine(ctx, 'dblclick "Item"');
@@ -575,4 +838,358 @@ describe('processLine', () => {
     await processLine(ctx, '.record');
     expect(ctx.session.mode).toBe('recording');
   });
+
+  it('resolves to undefined when the command succeeds', async () => {
+    const ctx = makeCtx();
+    expect(await processLine(ctx, 'snapshot')).toBeUndefined();
+  });
+
+  it('resolves to the Error section when the daemon reports a failure', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue({ isError: true, text: '### Error\nText not found: Saved' });
+    expect(await processLine(ctx, 'verify-text Saved')).toBe('Text not found: Saved');
+  });
+
+  it('still records commands that failed before reporting the failure', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue({ isError: true, text: '### Error\nboom' });
+    ctx.session.startRecording('/tmp/test.pw');
+    expect(await processLine(ctx, 'click e5')).toBe('boom');
+    expect(ctx.session.recordedCommands).toEqual(['click e5']);
+    expect(ctx.commandCount).toBe(1);
+  });
+
+  it('resolves to the message for unknown commands and thrown errors', async () => {
+    const ctx = makeCtx();
+    expect(await processLine(ctx, 'notacommand')).toBe('Unknown command: notacommand');
+    ctx.conn.run = vi.fn().mockRejectedValue(new Error('bad args'));
+    expect(await processLine(ctx, 'snapshot')).toBe('bad args');
+  });
+
+  it('quiet mode suppresses daemon output but still reports failure', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue({ isError: true, text: '### Error\nText not found: X' });
+    expect(await processLine(ctx, 'verify-text X', { quiet: true })).toBe('Text not found: X');
+    expect(logSpy).not.toHaveBeenCalled();
+  });
+
+  it('explains that control-flow blocks belong in .pw files', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'repeat 3');
+    expect(ctx.conn.run).not.toHaveBeenCalled();
+    const output = logSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(output).toContain('only available in .pw files');
+  });
+
+  it('set stores a variable', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'set EMAIL "qa@example.com"');
+    expect(ctx.vars.EMAIL).toBe('qa@example.com');
+    expect(ctx.conn.run).not.toHaveBeenCalled();
+  });
+
+  it('set without arguments lists variables', async () => {
+    const ctx = makeCtx({ vars: { BASE_URL: 'http://a.com' } });
+    await processLine(ctx, 'set');
+    const output = logSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(output).toContain('BASE_URL');
+    expect(output).toContain('http://a.com');
+  });
+
+  it('set rejects invalid variable names', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'set 1X foo');
+    const output = logSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(output).toContain('Invalid variable name');
+    expect(ctx.vars).toEqual({});
+  });
+
+  it('interpolates variables before parsing', async () => {
+    const ctx = makeCtx({ vars: { BASE_URL: 'http://a.com' } });
+    await processLine(ctx, 'goto ${BASE_URL}/login');
+    expect(ctx.conn.run).toHaveBeenCalledWith(expect.objectContaining({ _: ['goto', 'http://a.com/login'] }));
+  });
+
+  it('interpolates variables inside text locators', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'set FIELD Email');
+    await processLine(ctx, 'fill "${FIELD}" x');
+    const call = ctx.conn.run.mock.calls[0][0];
+    expect(call._[1]).toContain("getByLabel('Email')");
+  });
+
+  it('reports undefined variables without sending', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'goto ${PW_REPL_UNSET_VAR}');
+    expect(ctx.conn.run).not.toHaveBeenCalled();
+    const output = errorSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(output).toContain('Undefined variable: PW_REPL_UNSET_VAR');
+  });
+
+  it('passes JS template literals in run-code and eval through', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'set NAME Ada');
+    await processLine(ctx, 'run-code "async (page) => { const x = 1; return `${x} ${NAME}`; }"');
+    await processLine(ctx, 'e "[1, 2].map(n => `${n}px`)"');
+    expect(ctx.conn.run.mock.calls[0][0]._[1]).toBe('async (page) => { const x = 1; return `${x} Ada`; }');
+    expect(ctx.conn.run.mock.calls[1][0]._[1]).toBe('[1, 2].map(n => `${n}px`)');
+  });
+
+  it('records lines with variable references as typed', async () => {
+    const fs = await import('node:fs');
+    const path = await import('node:path');
+    const os = await import('node:os');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-vars-test-'));
+    const filePath = path.join(tmpDir, 'vars.pw');
+
+    const ctx = makeCtx({ vars: { BASE_URL: 'http://a.com' } });
+    ctx.session.startRecording(filePath);
+    await processLine(ctx, 'set USER alice');
+    await processLine(ctx, 'goto ${BASE_URL}/u/${USER}');
+    ctx.session.save();
+
+    const content = fs.readFileSync(filePath, 'utf-8');
+    expect(content).toContain('set USER alice');
+    expect(content).toContain('goto ${BASE_URL}/u/${USER}');
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('captures command output into a variable', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue({ text: '### Result\n"Order #42"' });
+    await processLine(ctx, 'eval "document.title" -> title');
+    expect(ctx.conn.run).toHaveBeenCalledWith(expect.objectContaining({ _: ['eval', 'document.title'] }));
+    expect(ctx.vars.title).toBe('Order #42');
+  });
+
+  it('uses captured values in later lines', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce({ text: '### Result\nid=42' })
+      .mockResolvedValue({ text: '### Result\nOK' });
+    await processLine(ctx, 'localstorage-get id -> orderId');
+    await processLine(ctx, 'goto http://a.com/orders/${orderId}');
+    expect(ctx.conn.run).toHaveBeenLastCalledWith(expect.objectContaining({ _: ['goto', 'http://a.com/orders/42'] }));
+  });
+
+  it('captures the actual value from verify-value', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue({ text: '### Result\n"hello"' });
+    await processLine(ctx, 'verify-value e5 hello -> v');
+    expect(ctx.conn.run.mock.calls[0][0]._[1]).toContain('return v;');
+    expect(ctx.vars.v).toBe('hello');
+  });
+
+  it('does not treat an arrow inside quotes as a capture', async () => {
+    const ctx = makeCtx();
+    await processLine(ctx, 'eval "a -> b"');
+    expect(ctx.conn.run).toHaveBeenCalledWith(expect.objectContaining({ _: ['eval', 'a -> b'] }));
+    expect(ctx.vars).toEqual({});
+  });
+
+  it('reports a failed capture', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue({ text: "### Result\nCookie 'sid' not found" });
+    await processLine(ctx, 'cookie-get sid -> sid');
+    expect(ctx.vars.sid).toBeUndefined();
+    const output = errorSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(output).toContain('Cannot capture sid');
+  });
+
+  it('records capture lines as typed', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue({ text: '### Result\n"T"' });
+    ctx.session.startRecording('/tmp/test.pw');
+    await processLine(ctx, 'eval "document.title" -> title');
+    expect(ctx.session.recordedCount).toBe(1);
+  });
+
+  it('.replay expands variables set earlier in the file', async () => {
+    const fs = await import('node:fs');
+    const path = await import('node:path');
+    const os = await import('node:os');
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-replay-test-'));
+    const filePath = path.join(tmpDir, 'vars.pw');
+    fs.writeFileSync(filePath, 'set ID 42\ngoto ${BASE_URL}/orders/${ID}\n', 'utf-8');
+
+    const ctx = makeCtx({ vars: { BASE_URL: 'http://a.com' } });
+    await processLine(ctx, `.replay ${filePath}`);
+
+    expect(ctx.conn.run).toHaveBeenCalledWith(expect.objectContaining({ _: ['goto', 'http://a.com/orders/42'] }));
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
+
+// ─── verify-screenshot ──────────────────────────────────────────────────────
+
+describe('processLine — verify-screenshot', () => {
+  const { PNG } = createRequire(import.meta.url)('playwright-core/lib/utilsBundle');
+  let tmpDir, logSpy;
+
+  /** A daemon response carrying a 4×4 PNG of one colour. */
+  function screenshotResult(red) {
+    const image = new PNG({ width: 4, height: 4 });
+    for (let i = 0; i < image.data.length; i += 4) image.data.set([red, 0, 0, 255], i);
+    return { text: `### Result\n"${PNG.sync.write(image).toString('base64')}"` };
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-screenshot-test-'));
+    vi.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes a missing baseline, then passes against it', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue(screenshotResult(0));
+    expect(await processLine(ctx, 'verify-screenshot home')).toContain('No baseline yet');
+    expect(fs.existsSync(path.join(tmpDir, '__screenshots__', 'home.png'))).toBe(true);
+    expect(await processLine(ctx, 'verify-screenshot home')).toBeUndefined();
+    expect(ctx.conn.run.mock.calls[0][0]._[1]).toBe("async (page) => (await page.screenshot({ animations: 'disabled', caret: 'hide' })).toString('base64')");
+  });
+
+  it('fails with a diff image once the timeout passes', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValueOnce(screenshotResult(0)).mockResolvedValue(screenshotResult(255));
+    await processLine(ctx, 'verify-screenshot home');
+    const error = await processLine(ctx, 'verify-screenshot home --timeout 0');
+    expect(error).toContain('Screenshot differs from __screenshots__/home.png: 16 pixels');
+    expect(fs.existsSync(path.join(tmpDir, '__screenshots__', 'home-diff.png'))).toBe(true);
+    expect(ctx.conn.run).toHaveBeenCalledTimes(2);
+  });
+
+  it('overwrites baselines with updateSnapshots', async () => {
+    const ctx = makeCtx({ updateSnapshots: true });
+    ctx.conn.run = vi.fn().mockResolvedValueOnce(screenshotResult(0)).mockResolvedValue(screenshotResult(255));
+    expect(await processLine(ctx, 'verify-screenshot home')).toBeUndefined();
+    expect(await processLine(ctx, 'verify-screenshot home')).toBeUndefined();
+    ctx.updateSnapshots = false;
+    expect(await processLine(ctx, 'verify-screenshot home')).toBeUndefined();
+  });
+
+  it('screenshots the target element and stores baselines next to the .pw file', async () => {
+    const dir = path.join(tmpDir, 'tests');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'cart.pw'), 'verify-screenshot summary "Order summary"\n', 'utf-8');
+    const ctx = makeCtx({ updateSnapshots: true });
+    ctx.conn.run = vi.fn().mockResolvedValue(screenshotResult(0));
+    await processLine(ctx, `.replay ${path.join(dir, 'cart.pw')}`);
+    expect(ctx.conn.run.mock.calls[0][0]._[1]).toContain("return (await loc.screenshot({ animations: 'disabled', caret: 'hide' })).toString('base64');");
+    expect(fs.existsSync(path.join(dir, '__screenshots__', 'summary.png'))).toBe(true);
+  });
+
+  it('prints nothing for an error response with no sections to show', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue({ isError: true, text: '### Page\n- Page URL: http://a.com' });
+    expect(await processLine(ctx, 'verify-screenshot home')).toBe('verify-screenshot failed');
+    expect(logSpy.mock.calls.flat()).not.toContain(null);
+  });
+
+  it('requires a name', async () => {
+    const ctx = makeCtx();
+    expect(await processLine(ctx, 'verify-screenshot')).toBe('Usage: verify-screenshot <name> [target]');
+    expect(ctx.conn.run).not.toHaveBeenCalled();
+  });
+});
+
+// ─── verify-snapshot ────────────────────────────────────────────────────────
+
+describe('processLine — verify-snapshot', () => {
+  let tmpDir, logSpy;
+  const tree = (button) => ({ text: `### Result\n${JSON.stringify(`- heading "Sign up" [level=1]\n- button "${button}"`)}` });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-snapshot-test-'));
+    vi.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('compares the ARIA tree with the YAML baseline and prints a diff', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValueOnce(tree('Create account')).mockResolvedValue(tree('Sign up'));
+    expect(await processLine(ctx, 'verify-snapshot signup')).toContain('No baseline yet');
+    expect(fs.readFileSync(path.join(tmpDir, '__snapshots__', 'signup.aria.yml'), 'utf-8')).toContain('- button "Create account"');
+    const error = await processLine(ctx, 'verify-snapshot signup --timeout 0');
+    expect(error).toContain('-- button "Create account"\n+- button "Sign up"');
+    expect(ctx.conn.run.mock.calls[0][0]._[1]).toBe("async (page) => await page.locator('body').ariaSnapshot()");
+  });
+
+  it('captures the target element', async () => {
+    const ctx = makeCtx({ updateSnapshots: true });
+    ctx.conn.run = vi.fn().mockResolvedValue(tree('Go'));
+    expect(await processLine(ctx, 'verify-snapshot form role=form')).toBeUndefined();
+    expect(ctx.conn.run.mock.calls[0][0]._[1]).toContain("let loc = page.getByRole('form');\n  return await loc.ariaSnapshot();");
+  });
+});
+
+// ─── snapshot --diff ────────────────────────────────────────────────────────
+
+describe('processLine — snapshot --diff', () => {
+  let logSpy;
+  const page = (...nodes) => ({ text: `### Page\n- Page URL: https://example.com/\n### Snapshot\n\`\`\`yaml\n${nodes.join('\n')}\n\`\`\`` });
+  const printed = () => logSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('prints only the nodes that changed since the last snapshot', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce(page('- heading "todos" [ref=e3]', '- textbox "What needs to be done?" [ref=e5]'))
+      .mockResolvedValue(page('- heading "todos" [ref=e3]', '- textbox "What needs to be done?" [ref=e5]', '- listitem "Buy milk" [ref=e9]'));
+    await processLine(ctx, 'snapshot');
+    expect(await processLine(ctx, 'snapshot --diff')).toBeUndefined();
+    expect(ctx.conn.run.mock.calls[1][0]).toEqual({ _: ['snapshot'] });
+    expect(printed()).toContain('+- listitem "Buy milk"');
+    expect(printed()).not.toContain('heading');
+  });
+
+  it('ignores refs that moved', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn()
+      .mockResolvedValueOnce(page('- button "Save" [ref=e3]'))
+      .mockResolvedValue(page('- button "Save" [ref=e7]'));
+    await processLine(ctx, 'snapshot');
+    await processLine(ctx, '.snapdiff');
+    expect(printed()).toContain('No changes since the last snapshot');
+  });
+
+  it('explains when there is nothing to compare against yet', async () => {
+    const ctx = makeCtx();
+    ctx.conn.run = vi.fn().mockResolvedValue(page('- button "Save" [ref=e3]'));
+    await processLine(ctx, 'snapshot --diff');
+    expect(printed()).toContain('No earlier snapshot');
+    expect(ctx.lastSnapshot).toBe('- button "Save" [ref=e3]');
+  });
+
+  it('reads the snapshot file the daemon links to', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-snapdiff-test-'));
+    try {
+      fs.writeFileSync(path.join(tmpDir, 'page.yml'), '- button "Save" [ref=e3]\n');
+      const ctx = makeCtx({ lastSnapshot: '- button "Cancel" [ref=e3]' });
+      ctx.conn.run = vi.fn().mockResolvedValue({ text: `### Snapshot\n- [Snapshot](${path.join(tmpDir, 'page.yml')})` });
+      await processLine(ctx, 'snapshot --diff');
+      expect(printed()).toContain('-- button "Cancel"');
+      expect(printed()).toContain('+- button "Save"');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
 });
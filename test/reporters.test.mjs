@@ -0,0 +1,146 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { parseReporters, escapeXml, junitReport, jsonReport, writeReports } from '../src/reporters.mjs';
+
+const passed = { file: path.join(process.cwd(), 'tests', 'login.pw'), passed: true, failures: [], duration: 1200 };
+const failed = {
+  file: path.join(process.cwd(), 'tests', 'cart.pw'),
+  passed: false,
+  duration: 850,
+  failures: [{
+    file: path.join(process.cwd(), 'tests', 'cart.pw'),
+    line: 7,
+    command: 'verify-text "Total <$12>"',
+    error: 'Text not found: Total <$12>\nwaited 5000ms',
+  }],
+};
+const broken = { file: '/elsewhere/broken.pw', passed: false, failures: [], error: 'Unexpected "end"', duration: 2 };
+const timestamp = new Date('2026-01-02T03:04:05.000Z');
+
+// ─── parseReporters ─────────────────────────────────────────────────────────
+
+describe('parseReporters', () => {
+  it('parses a comma-separated list', () => {
+    expect(parseReporters('junit:out.xml,json:out.json')).toEqual([
+      { type: 'junit', file: 'out.xml' },
+      { type: 'json', file: 'out.json' },
+    ]);
+  });
+
+  it('merges repeated flags', () => {
+    expect(parseReporters(['junit:a.xml', 'json:b.json'])).toHaveLength(2);
+  });
+
+  it('returns an empty list when not given', () => {
+    expect(parseReporters(undefined)).toEqual([]);
+  });
+
+  it('keeps colons in the file path', () => {
+    expect(parseReporters('junit:C:\\reports\\out.xml')).toEqual([{ type: 'junit', file: 'C:\\reports\\out.xml' }]);
+  });
+
+  it('rejects unknown reporters', () => {
+    expect(() => parseReporters('html:out.html')).toThrow('Unknown reporter "html"');
+  });
+
+  it('requires an output file', () => {
+    expect(() => parseReporters('junit')).toThrow('Missing output file');
+  });
+});
+
+// ─── JUnit ──────────────────────────────────────────────────────────────────
+
+describe('junitReport', () => {
+  it('escapes XML special characters and drops control characters', () => {
+    expect(escapeXml('<a href="x">&\'\x1b</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;');
+  });
+
+  it('writes one testcase per file with totals', () => {
+    const xml = junitReport([passed, failed, broken], { duration: 2052, timestamp });
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<testsuite name="playwright-repl" tests="3" failures="1" errors="1" skipped="0" time="2.052" timestamp="2026-01-02T03:04:05.000Z">');
+    expect(xml).toContain('<testcase name="login.pw" classname="tests/login.pw" file="tests/login.pw" time="1.200"/>');
+    expect(xml.match(/<testcase /g)).toHaveLength(3);
+  });
+
+  it('reports each failing command with line, command and error', () => {
+    const xml = junitReport([failed], { timestamp });
+    expect(xml).toContain('<failure message="tests/cart.pw:7: verify-text &quot;Total &lt;$12&gt;&quot; — Text not found: Total &lt;$12&gt;" type="CommandFailed">');
+    expect(xml).toContain('tests/cart.pw:7\nverify-text &quot;Total &lt;$12&gt;&quot;\n\nText not found: Total &lt;$12&gt;\nwaited 5000ms</failure>');
+  });
+
+  it('points failures in included files at that file', () => {
+    const included = { ...failed, failures: [{ ...failed.failures[0], file: path.join(process.cwd(), 'tests', 'login-steps.pw'), line: 3 }] };
+    const xml = junitReport([included], { timestamp });
+    expect(xml).toContain('<failure message="tests/login-steps.pw:3: verify-text');
+    expect(xml).toContain('>tests/login-steps.pw:3\nverify-text');
+    expect(jsonReport([included]).files[0].failures[0]).toMatchObject({ file: 'tests/login-steps.pw', line: 3 });
+  });
+
+  it('marks soft assertion failures', () => {
+    const soft = { ...failed, failures: [{ ...failed.failures[0], command: 'soft verify-text Total', soft: true }] };
+    expect(junitReport([soft], { timestamp })).toContain('type="SoftAssertionFailed"');
+    expect(jsonReport([soft]).files[0].failures[0].soft).toBe(true);
+  });
+
+  it('attaches saved traces and videos', () => {
+    const traced = { ...passed, trace: path.join(process.cwd(), 'tests', 'login.trace.zip'), video: path.join(process.cwd(), 'tests', 'login.webm') };
+    const xml = junitReport([traced], { timestamp });
+    expect(xml).toContain('<system-out>[[ATTACHMENT|tests/login.trace.zip]]\n[[ATTACHMENT|tests/login.webm]]</system-out>\n    </testcase>');
+    expect(jsonReport([traced]).files[0]).toMatchObject({ trace: 'tests/login.trace.zip', video: 'tests/login.webm' });
+  });
+
+  it('reports load errors as <error>', () => {
+    const xml = junitReport([broken], { timestamp });
+    expect(xml).toContain('<error message="Unexpected &quot;end&quot;" type="LoadError">');
+    expect(xml).toContain('classname="/elsewhere/broken.pw"');
+  });
+});
+
+// ─── JSON ───────────────────────────────────────────────────────────────────
+
+describe('jsonReport', () => {
+  it('summarizes results per file', () => {
+    const report = jsonReport([passed, failed, broken], { duration: 2052, timestamp });
+    expect(report.startTime).toBe('2026-01-02T03:04:05.000Z');
+    expect(report.stats).toEqual({ files: 3, passed: 1, failed: 2 });
+    expect(report.files[0]).toEqual({ file: 'tests/login.pw', passed: true, duration: 1200, failures: [] });
+    expect(report.files[1].failures).toEqual([
+      { file: 'tests/cart.pw', line: 7, command: 'verify-text "Total <$12>"', error: 'Text not found: Total <$12>\nwaited 5000ms' },
+    ]);
+    expect(report.files[2].error).toBe('Unexpected "end"');
+  });
+});
+
+// ─── writeReports ───────────────────────────────────────────────────────────
+
+describe('writeReports', () => {
+  let tmpDir, logSpy;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-reports-'));
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    logSpy.mockRestore();
+  });
+
+  it('writes every configured report, creating directories', () => {
+    const xmlFile = path.join(tmpDir, 'reports', 'out.xml');
+    const jsonFile = path.join(tmpDir, 'out.json');
+    writeReports([{ type: 'junit', file: xmlFile }, { type: 'json', file: jsonFile }], [passed, failed], { timestamp });
+
+    expect(fs.readFileSync(xmlFile, 'utf-8')).toContain('<testsuites');
+    expect(JSON.parse(fs.readFileSync(jsonFile, 'utf-8')).stats.failed).toBe(1);
+    expect(logSpy.mock.calls.map(c => c.join(' ')).join('\n')).toContain('junit report written');
+  });
+
+  it('does nothing without reporters', () => {
+    writeReports(undefined, [passed]);
+    expect(logSpy).not.toHaveBeenCalled();
+  });
+});
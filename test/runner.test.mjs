@@ -0,0 +1,176 @@
+/**
+ * Tests for the test runner — file discovery, per-file browsers, summary.
+ * Mocks workspace and connection so no daemon is started.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+
+// ─── Mocks ──────────────────────────────────────────────────────────────────
+
+vi.mock('../src/workspace.mjs', () => ({
+  socketPath: vi.fn(() => '/tmp/test.sock'),
+  daemonProfilesDir: '/tmp/pw-profiles',
+  isDaemonRunning: vi.fn(),
+  startDaemon: vi.fn(),
+  waitForDaemon: vi.fn(),
+  findWorkspaceDir: vi.fn(() => '/tmp'),
+}));
+
+const conns = [];
+let runImpl;
+vi.mock('../src/connection.mjs', () => {
+  const MockConn = vi.fn(function () {
+    this.connect = vi.fn().mockResolvedValue(true);
+    this.close = vi.fn();
+    this.send = vi.fn().mockResolvedValue({});
+    this.run = vi.fn((args) => runImpl(args));
+    this.connected = true;
+    conns.push(this);
+  });
+  return { DaemonConnection: MockConn };
+});
+
+const { findTestFiles, formatDuration, runTests } = await import('../src/runner.mjs');
+const { startDaemon, waitForDaemon } = await import('../src/workspace.mjs');
+
+// ─── findTestFiles ──────────────────────────────────────────────────────────
+
+describe('findTestFiles', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-runner-'));
+    fs.mkdirSync(path.join(tmpDir, 'tests', 'cart'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'tests', 'login.pw'), 'snapshot\n');
+    fs.writeFileSync(path.join(tmpDir, 'tests', 'cart', 'add.pw'), 'snapshot\n');
+    fs.writeFileSync(path.join(tmpDir, 'tests', 'notes.txt'), 'x\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('expands a directory to every .pw file below it', () => {
+    const files = findTestFiles(['tests'], tmpDir);
+    expect(files.map(f => path.relative(tmpDir, f))).toEqual([
+      path.join('tests', 'cart', 'add.pw'),
+      path.join('tests', 'login.pw'),
+    ]);
+  });
+
+  it('expands globs', () => {
+    const files = findTestFiles(['tests/*.pw'], tmpDir);
+    expect(files.map(f => path.basename(f))).toEqual(['login.pw']);
+  });
+
+  it('de-duplicates overlapping patterns', () => {
+    const files = findTestFiles(['tests/**/*.pw', 'tests/login.pw'], tmpDir);
+    expect(files).toHaveLength(2);
+  });
+
+  it('throws for a missing file', () => {
+    expect(() => findTestFiles(['missing.pw'], tmpDir)).toThrow('No such file or directory');
+  });
+});
+
+// ─── formatDuration ─────────────────────────────────────────────────────────
+
+describe('formatDuration', () => {
+  it('formats milliseconds and seconds', () => {
+    expect(formatDuration(250)).toBe('250ms');
+    expect(formatDuration(1530)).toBe('1.5s');
+  });
+});
+
+// ─── runTests ───────────────────────────────────────────────────────────────
+
+describe('runTests', () => {
+  let tmpDir, logSpy, errorSpy;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-runner-'));
+    fs.writeFileSync(path.join(tmpDir, 'a.pw'), 'goto https://a.com\nsnapshot\n');
+    fs.writeFileSync(path.join(tmpDir, 'b.pw'), 'verify-text "Missing"\nsnapshot\n');
+    conns.length = 0;
+    startDaemon.mockClear();
+    waitForDaemon.mockClear();
+    runImpl = async (args) => args._[0] === 'run-code'
+      ? { isError: true, text: '### Error\nText not found: Missing' }
+      : { text: '### Result\nOK' };
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  it('opens a fresh browser for every file and stops it afterwards', async () => {
+    await runTests([path.join(tmpDir, '*.pw')]);
+    expect(startDaemon).toHaveBeenCalledTimes(2);
+    expect(conns).toHaveLength(2);
+    for (const conn of conns) {
+      expect(conn.send).toHaveBeenCalledWith('stop', {});
+      expect(conn.close).toHaveBeenCalled();
+    }
+  });
+
+  it('waits for each daemon on its own test session instead of the default one', async () => {
+    await runTests([path.join(tmpDir, '*.pw')]);
+    expect(startDaemon.mock.calls.map(call => call[0])).toEqual(['repl-test', 'repl-test']);
+    expect(waitForDaemon).toHaveBeenCalledTimes(2);
+    expect(waitForDaemon).toHaveBeenCalledWith('repl-test');
+    await runTests([path.join(tmpDir, 'a.pw')], { session: 'ci' });
+    expect(startDaemon).toHaveBeenLastCalledWith('ci', expect.anything());
+  });
+
+  it('returns per-file results and stops a file at its first failure', async () => {
+    const results = await runTests([tmpDir]);
+    expect(results.map(r => [path.basename(r.file), r.passed])).toEqual([['a.pw', true], ['b.pw', false]]);
+    expect(results[1].failures).toEqual([
+      expect.objectContaining({ line: 1, command: 'verify-text "Missing"' }),
+    ]);
+    // b.pw's snapshot never ran
+    expect(conns[1].run).toHaveBeenCalledTimes(1);
+  });
+
+  it('prints a summary with counts', async () => {
+    await runTests([tmpDir]);
+    const output = logSpy.mock.calls.map(c => c.join(' ')).join('\n');
+    expect(output).toContain('Results:');
+    expect(output).toContain('2 files');
+    expect(output).toContain('1 passed');
+    expect(output).toContain('1 failed');
+    expect(output).toContain('b.pw:1');
+  });
+
+  it('does not share variables between files', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'a.pw'), 'set NAME leaked\n');
+    fs.writeFileSync(path.join(tmpDir, 'b.pw'), 'goto https://x.com/${NAME:-clean}\n');
+    await runTests([tmpDir], { vars: { BASE: 'x' } });
+    expect(conns[1].run.mock.calls[0][0]._).toEqual(['goto', 'https://x.com/clean']);
+  });
+
+  it('records load errors as failed files', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'a.pw'), 'if verify-text "x"\n');
+    const results = await runTests([path.join(tmpDir, 'a.pw')]);
+    expect(results[0].passed).toBe(false);
+    expect(results[0].error).toBeTruthy();
+  });
+
+  it('writes configured reports with every file', async () => {
+    const reportFile = path.join(tmpDir, 'junit.xml');
+    await runTests([path.join(tmpDir, '*.pw')], { reporters: [{ type: 'junit', file: reportFile }] });
+    const xml = fs.readFileSync(reportFile, 'utf-8');
+    expect(xml.match(/<testcase /g)).toHaveLength(2);
+    expect(xml).toContain('.pw:1: verify-text &quot;Missing&quot;');
+  });
+
+  it('throws when nothing matches', async () => {
+    await expect(runTests([path.join(tmpDir, '*.spec')])).rejects.toThrow('No .pw files found');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { createRequire } from 'node:module';
+import { baselinePath, failurePaths, compareOptions, compareScreenshot } from '../src/screenshots.mjs';
+
+const { PNG } = createRequire(import.meta.url)('playwright-core/lib/utilsBundle');
+
+/** A 10×10 PNG, red where x < redColumns and white elsewhere. */
+function png(redColumns = 0) {
+  const image = new PNG({ width: 10, height: 10 });
+  for (let i = 0; i < image.data.length; i += 4) {
+    const red = (i / 4) % 10 < redColumns;
+    image.data.set(red ? [255, 0, 0, 255] : [255, 255, 255, 255], i);
+  }
+  return PNG.sync.write(image);
+}
+
+// ─── Paths ──────────────────────────────────────────────────────────────────
+
+describe('baselinePath', () => {
+  it('puts baselines in __screenshots__ and adds .png', () => {
+    expect(baselinePath('cart', '/work/tests')).toBe(path.join('/work/tests', '__screenshots__', 'cart.png'));
+    expect(baselinePath('cart.png', '/work')).toBe(path.join('/work', '__screenshots__', 'cart.png'));
+    expect(failurePaths('/b/cart.png')).toEqual({ actual: '/b/cart-actual.png', diff: '/b/cart-diff.png' });
+  });
+});
+
+// ─── compareOptions ─────────────────────────────────────────────────────────
+
+describe('compareOptions', () => {
+  it('maps flags onto toHaveScreenshot() options', () => {
+    expect(compareOptions({ _: [], 'max-diff-pixels': '10', threshold: '0.3' })).toEqual({ maxDiffPixels: 10, threshold: 0.3 });
+    expect(compareOptions({ _: [] })).toEqual({});
+  });
+
+  it('rejects values that are not numbers', () => {
+    expect(() => compareOptions({ _: [], 'max-diff-pixel-ratio': 'lots' })).toThrow('Invalid --max-diff-pixel-ratio: lots (expected a number)');
+  });
+});
+
+// ─── compareScreenshot ──────────────────────────────────────────────────────
+
+describe('compareScreenshot', () => {
+  let tmpDir, baseline;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-screenshots-'));
+    baseline = baselinePath('home', tmpDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes a missing baseline and fails', () => {
+    const result = compareScreenshot(png(), baseline);
+    expect(result.status).toBe('written');
+    expect(result.message).toContain('No baseline yet');
+    expect(fs.readFileSync(baseline)).toEqual(png());
+  });
+
+  it('passes when the screenshot matches', () => {
+    compareScreenshot(png(), baseline);
+    expect(compareScreenshot(png(), baseline).status).toBe('passed');
+  });
+
+  it('writes the actual and diff images on a mismatch', () => {
+    compareScreenshot(png(), baseline);
+    const result = compareScreenshot(png(3), baseline);
+    expect(result.status).toBe('failed');
+    expect(result.message).toContain('30 pixels (ratio 0.30 of all image pixels) are different');
+    expect(fs.existsSync(failurePaths(baseline).actual)).toBe(true);
+    expect(fs.existsSync(failurePaths(baseline).diff)).toBe(true);
+  });
+
+  it('allows differences within maxDiffPixels and clears old failure images', () => {
+    compareScreenshot(png(), baseline);
+    compareScreenshot(png(3), baseline);
+    expect(compareScreenshot(png(1), baseline, { maxDiffPixels: 10 }).status).toBe('passed');
+    expect(fs.existsSync(failurePaths(baseline).diff)).toBe(false);
+  });
+
+  it('overwrites the baseline with update', () => {
+    compareScreenshot(png(), baseline);
+    expect(compareScreenshot(png(3), baseline, { update: true }).status).toBe('updated');
+    expect(fs.readFileSync(baseline)).toEqual(png(3));
+  });
+});
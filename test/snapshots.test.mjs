@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { snapshotPath, stripRefs, unifiedDiff, compareSnapshot } from '../src/snapshots.mjs';
+
+const FORM = [
+  '- heading "Sign up" [level=1]',
+  '- textbox "Email"',
+  '- button "Create account"',
+].join('\n');
+
+// ─── snapshotPath ───────────────────────────────────────────────────────────
+
+describe('snapshotPath', () => {
+  it('puts baselines in __snapshots__ as .aria.yml', () => {
+    expect(snapshotPath('signup', '/work/tests')).toBe(path.join('/work/tests', '__snapshots__', 'signup.aria.yml'));
+    expect(snapshotPath('signup.yml', '/work')).toBe(path.join('/work', '__snapshots__', 'signup.yml'));
+  });
+});
+
+// ─── stripRefs ──────────────────────────────────────────────────────────────
+
+describe('stripRefs', () => {
+  it('drops ref markers and keeps other attributes', () => {
+    expect(stripRefs('- heading "Sign up" [level=1] [ref=e3]\n- textbox "Email" [ref=e12]'))
+      .toBe('- heading "Sign up" [level=1]\n- textbox "Email"');
+  });
+});
+
+// ─── unifiedDiff ────────────────────────────────────────────────────────────
+
+describe('unifiedDiff', () => {
+  it('shows changed lines with context', () => {
+    expect(unifiedDiff(FORM, FORM.replace('Create account', 'Sign up'), { from: 'signup.aria.yml' })).toBe([
+      '--- signup.aria.yml',
+      '+++ actual',
+      '@@ -1,3 +1,3 @@',
+      ' - heading "Sign up" [level=1]',
+      ' - textbox "Email"',
+      '-- button "Create account"',
+      '+- button "Sign up"',
+    ].join('\n'));
+  });
+
+  it('is empty for equal texts', () => {
+    expect(unifiedDiff(FORM, FORM)).toBe('');
+  });
+});
+
+// ─── compareSnapshot ────────────────────────────────────────────────────────
+
+describe('compareSnapshot', () => {
+  let tmpDir, baseline;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-snapshots-'));
+    baseline = snapshotPath('signup', tmpDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes a missing baseline and fails', () => {
+    expect(compareSnapshot(FORM, baseline).status).toBe('written');
+    expect(fs.readFileSync(baseline, 'utf-8')).toBe(`${FORM}\n`);
+  });
+
+  it('passes on the same tree', () => {
+    compareSnapshot(FORM, baseline);
+    expect(compareSnapshot(`${FORM}\n`, baseline).status).toBe('passed');
+  });
+
+  it('fails with a diff', () => {
+    compareSnapshot(FORM, baseline);
+    const result = compareSnapshot(FORM.replace('- textbox "Email"\n', ''), baseline);
+    expect(result.status).toBe('failed');
+    expect(result.message).toContain('Snapshot differs from');
+    expect(result.message).toContain('\n-- textbox "Email"\n');
+  });
+
+  it('overwrites the baseline with update', () => {
+    compareSnapshot(FORM, baseline);
+    expect(compareSnapshot('- button "Go"', baseline, { update: true }).status).toBe('updated');
+    expect(fs.readFileSync(baseline, 'utf-8')).toBe('- button "Go"\n');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import path from 'node:path';
+import { globToRegExp, escapeRegExp, formatLocation } from '../src/utils.mjs';
+
+// ─── globToRegExp ───────────────────────────────────────────────────────────
+
+describe('globToRegExp', () => {
+  it('* matches within one directory', () => {
+    const re = globToRegExp('tests/*.pw');
+    expect(re.test('tests/login.pw')).toBe(true);
+    expect(re.test('tests/sub/login.pw')).toBe(false);
+  });
+
+  it('**/ matches any depth, including none', () => {
+    const re = globToRegExp('tests/**/*.pw');
+    expect(re.test('tests/login.pw')).toBe(true);
+    expect(re.test('tests/a/b/login.pw')).toBe(true);
+    expect(re.test('other/login.pw')).toBe(false);
+  });
+
+  it('supports ? and {a,b}', () => {
+    expect(globToRegExp('t?.pw').test('t1.pw')).toBe(true);
+    expect(globToRegExp('{login,cart}.pw').test('cart.pw')).toBe(true);
+    expect(globToRegExp('{login,cart}.pw').test('todo.pw')).toBe(false);
+  });
+
+  it('escapes regex characters', () => {
+    expect(globToRegExp('a.pw').test('abpw')).toBe(false);
+  });
+});
+
+// ─── escapeRegExp ───────────────────────────────────────────────────────────
+
+describe('escapeRegExp', () => {
+  it('matches the text literally', () => {
+    expect(new RegExp(escapeRegExp('a.b*(c)')).test('a.b*(c)')).toBe(true);
+    expect(new RegExp(escapeRegExp('a.b')).test('axb')).toBe(false);
+  });
+});
+
+// ─── formatLocation ─────────────────────────────────────────────────────────
+
+describe('formatLocation', () => {
+  it('shows files under the working directory relative to it', () => {
+    expect(formatLocation(path.join(process.cwd(), 'tests', 'login.pw'), 3)).toBe(path.join('tests', 'login.pw') + ':3');
+    expect(formatLocation(path.join(process.cwd(), 'a.png'))).toBe('a.png');
+  });
+
+  it('keeps paths outside it as given', () => {
+    const outside = path.resolve(process.cwd(), '..', 'other.pw');
+    expect(formatLocation(outside, 1)).toBe(`${outside}:1`);
+  });
+});
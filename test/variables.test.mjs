@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { interpolate, unquote, parseAssignment, parseVarArgs, loadEnvFile } from '../src/variables.mjs';
+
+// ─── interpolate ────────────────────────────────────────────────────────────
+
+describe('interpolate', () => {
+  afterEach(() => {
+    delete process.env.PW_REPL_TEST_VAR;
+  });
+
+  it('expands REPL variables', () => {
+    expect(interpolate('goto ${BASE}/login', { BASE: 'http://a.com' })).toBe('goto http://a.com/login');
+  });
+
+  it('expands several references in one line', () => {
+    expect(interpolate('fill "${F}" ${V}', { F: 'Email', V: 'x@y.z' })).toBe('fill "Email" x@y.z');
+  });
+
+  it('falls back to environment variables', () => {
+    process.env.PW_REPL_TEST_VAR = 'from-env';
+    expect(interpolate('fill e5 ${PW_REPL_TEST_VAR}', {})).toBe('fill e5 from-env');
+  });
+
+  it('prefers REPL variables over environment variables', () => {
+    process.env.PW_REPL_TEST_VAR = 'from-env';
+    expect(interpolate('${PW_REPL_TEST_VAR}', { PW_REPL_TEST_VAR: 'from-repl' })).toBe('from-repl');
+  });
+
+  it('uses the :- default when the variable is unset', () => {
+    expect(interpolate('goto ${PW_REPL_UNSET:-http://localhost}', {})).toBe('goto http://localhost');
+  });
+
+  it('ignores the default when the variable is set', () => {
+    expect(interpolate('${A:-b}', { A: 'a' })).toBe('a');
+  });
+
+  it('throws on undefined variables', () => {
+    expect(() => interpolate('goto ${PW_REPL_UNSET}', {})).toThrow('Undefined variable: PW_REPL_UNSET');
+  });
+
+  it('leaves unset references as typed with keepUnset', () => {
+    expect(interpolate('run-code "`${PW_REPL_UNSET}-${A}`"', { A: 'a' }, { keepUnset: true })).toBe('run-code "`${PW_REPL_UNSET}-a`"');
+  });
+
+  it('keeps escaped references literal', () => {
+    expect(interpolate('run-code "\\${x}"', {})).toBe('run-code "${x}"');
+  });
+
+  it('leaves lines without references untouched', () => {
+    expect(interpolate('click "Save $5"', {})).toBe('click "Save $5"');
+  });
+
+  it('works without a vars object', () => {
+    expect(interpolate('snapshot')).toBe('snapshot');
+  });
+});
+
+// ─── Assignments ────────────────────────────────────────────────────────────
+
+describe('unquote', () => {
+  it('strips matching quotes', () => {
+    expect(unquote('"a b"')).toBe('a b');
+    expect(unquote("'a b'")).toBe('a b');
+  });
+
+  it('keeps unmatched quotes', () => {
+    expect(unquote('"a b')).toBe('"a b');
+    expect(unquote('plain')).toBe('plain');
+  });
+});
+
+describe('parseAssignment', () => {
+  it('parses KEY=VALUE', () => {
+    expect(parseAssignment('USER=alice')).toEqual({ name: 'USER', value: 'alice' });
+  });
+
+  it('keeps = signs in the value', () => {
+    expect(parseAssignment('Q=a=b')).toEqual({ name: 'Q', value: 'a=b' });
+  });
+
+  it('returns null for malformed input', () => {
+    expect(parseAssignment('novalue')).toBeNull();
+    expect(parseAssignment('=x')).toBeNull();
+    expect(parseAssignment('1X=y')).toBeNull();
+  });
+});
+
+describe('parseVarArgs', () => {
+  it('accepts a single string', () => {
+    expect(parseVarArgs('A=1')).toEqual({ A: '1' });
+  });
+
+  it('accepts an array of assignments', () => {
+    expect(parseVarArgs(['A=1', 'B=two words'])).toEqual({ A: '1', B: 'two words' });
+  });
+
+  it('returns an empty object when no flags are given', () => {
+    expect(parseVarArgs(undefined)).toEqual({});
+  });
+
+  it('throws on malformed flags', () => {
+    expect(() => parseVarArgs(['A'])).toThrow('Invalid --var "A"');
+  });
+});
+
+describe('loadEnvFile', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pw-env-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('parses KEY=VALUE lines, comments and export prefixes', () => {
+    const file = path.join(tmpDir, '.env');
+    fs.writeFileSync(file, '# staging\nBASE_URL=https://staging.example.com\n\nexport EMAIL="qa@example.com"\n', 'utf-8');
+    expect(loadEnvFile(file)).toEqual({ BASE_URL: 'https://staging.example.com', EMAIL: 'qa@example.com' });
+  });
+
+  it('returns an empty object when no file is given', () => {
+    expect(loadEnvFile(undefined)).toEqual({});
+  });
+
+  it('throws on missing file', () => {
+    expect(() => loadEnvFile(path.join(tmpDir, 'missing.env'))).toThrow('File not found');
+  });
+
+  it('reports the line of a malformed entry', () => {
+    const file = path.join(tmpDir, '.env');
+    fs.writeFileSync(file, 'A=1\nbroken\n', 'utf-8');
+    expect(() => loadEnvFile(file)).toThrow(':2: expected KEY=VALUE');
+  });
+});
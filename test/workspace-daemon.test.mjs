@@ -1,5 +1,5 @@
 /**
- * Tests for isDaemonRunning and startDaemon with mocked dependencies.
+ * Tests for isDaemonRunning, waitForDaemon and startDaemon with mocked dependencies.
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { EventEmitter } from 'node:events';
@@ -21,7 +21,7 @@ vi.mock('node:child_process', () => ({
 
 import net from 'node:net';
 import { execSync } from 'node:child_process';
-import { isDaemonRunning, startDaemon } from '../src/workspace.mjs';
+import { isDaemonRunning, waitForDaemon, startDaemon } from '../src/workspace.mjs';
 
 describe('isDaemonRunning', () => {
   beforeEach(() => {
@@ -53,6 +53,44 @@ describe('isDaemonRunning', () => {
   });
 });
 
+describe('waitForDaemon', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // Refuse the first `refusals` connections, then accept
+  function socketUpAfter(refusals) {
+    vi.mocked(net.createConnection).mockImplementation((_path, cb) => {
+      const sock = new EventEmitter();
+      sock.destroy = vi.fn();
+      if (refusals-- > 0) process.nextTick(() => sock.emit('error', new Error('ENOENT')));
+      else process.nextTick(cb);
+      return sock;
+    });
+  }
+
+  it('resolves once the socket accepts connections', async () => {
+    socketUpAfter(2);
+    const waiting = waitForDaemon('default');
+    await vi.advanceTimersByTimeAsync(200);
+    await expect(waiting).resolves.toBeUndefined();
+    expect(net.createConnection).toHaveBeenCalledTimes(3);
+  });
+
+  it('throws when the daemon never comes up', async () => {
+    socketUpAfter(Infinity);
+    const waiting = waitForDaemon('ci', { timeout: 1000 });
+    const failed = expect(waiting).rejects.toThrow('Daemon for session "ci" did not start within 1000ms');
+    await vi.advanceTimersByTimeAsync(1100);
+    await failed;
+  });
+});
+
 describe('startDaemon', () => {
   let logSpy, errorSpy;
 